@@ -0,0 +1,120 @@
+// src/AnimationPreview.js
+import React, { useEffect, useRef, useState } from "react";
+import { Alert, Button, Form } from "react-bootstrap";
+import { loadAnimationClip } from "./avatarAnimation";
+
+const TICK_MS = 100;
+
+const fileType = (name) => {
+  const ext = name.split(".").pop().toLowerCase();
+  return ext === "fbx" ? "fbx" : ext === "vrma" ? "vrma" : "gltf";
+};
+
+/**
+ * Try an animation file on the current avatar before adding it to the manifest:
+ * Mixamo .fbx (retargeted), .vrma or .glb/.gltf. The clip takes over the body
+ * while previewed; the slider scrubs it.
+ * animatorRef.current is the scene's AvatarAnimator (null until the avatar loads).
+ * A developer tool: TalkingAvatar leaves it out of production builds.
+ */
+export default function AnimationPreview({ vrm, animatorRef }) {
+  const [clip, setClip] = useState(null);     // { name, duration }
+  const [time, setTime] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const inputRef = useRef(null);
+
+  const stop = () => {
+    animatorRef.current?.endPreview();
+    setClip(null);
+    setTime(0);
+    setPaused(false);
+    if (inputRef.current) inputRef.current.value = "";
+  };
+
+  // a new avatar gets a new animator; the old preview went with it
+  useEffect(() => {
+    setClip(null);
+    setError("");
+  }, [vrm]);
+
+  useEffect(() => () => animatorRef.current?.endPreview(), [animatorRef]);
+
+  // follow playback on the slider
+  useEffect(() => {
+    if (!clip || paused) return;
+    const id = setInterval(() => setTime(animatorRef.current?.previewTime ?? 0), TICK_MS);
+    return () => clearInterval(id);
+  }, [clip, paused, animatorRef]);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file || !vrm || !animatorRef.current) return;
+    setError("");
+    setLoading(true);
+    const url = URL.createObjectURL(file);
+    try {
+      const loaded = await loadAnimationClip({ url, name: file.name, type: fileType(file.name) }, vrm);
+      animatorRef.current?.preview(loaded);
+      setClip({ name: file.name, duration: loaded.duration });
+      setTime(0);
+      setPaused(false);
+    } catch (err) {
+      console.warn("Animation preview failed", err);
+      setError(`Couldn't use ${file.name}: ${err?.message || err}`);
+    } finally {
+      URL.revokeObjectURL(url);
+      setLoading(false);
+    }
+  };
+
+  const scrub = (t) => {
+    animatorRef.current?.setPaused(true);
+    animatorRef.current?.seek(t);
+    setPaused(true);
+    setTime(t);
+  };
+
+  const togglePlay = () => {
+    animatorRef.current?.setPaused(!paused);
+    setPaused(!paused);
+  };
+
+  return (
+    <div className="p-2 border rounded">
+      <div className="small text-muted mb-1">Animation preview (Mixamo .fbx, .vrma, .glb)</div>
+      <Form.Control
+        ref={inputRef}
+        type="file"
+        size="sm"
+        accept=".fbx,.vrma,.glb,.gltf"
+        disabled={!vrm || loading}
+        onChange={onFile}
+      />
+      {error && <Alert variant="warning" className="mt-2 mb-0 py-1 small">{error}</Alert>}
+      {clip && (
+        <div className="mt-2">
+          <div className="d-flex align-items-center gap-2">
+            <Button size="sm" variant="outline-primary" onClick={togglePlay}>
+              {paused ? "▶ Play" : "❚❚ Pause"}
+            </Button>
+            <Form.Range
+              aria-label="Animation time"
+              min={0}
+              max={clip.duration}
+              step={0.01}
+              value={time}
+              onChange={(e) => scrub(Number(e.target.value))}
+            />
+            <span className="small text-muted text-nowrap">
+              {time.toFixed(2)} / {clip.duration.toFixed(2)} s
+            </span>
+            <Button size="sm" variant="outline-secondary" onClick={stop}>Stop</Button>
+          </div>
+          <div className="small text-muted mt-1">{clip.name}</div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,14 +4,20 @@
 // import VRMAvatarApp from "./VRMAvatarApp";
 
 import TalkingAvatar from "./TalkingAvatar ";
+import CrisisResourcesPanel, { CrisisProvider } from "./CrisisResourcesPanel";
+import QuickExitButton from "./QuickExitButton";
 
 function App() {
   return (
-    <div >
+    <CrisisProvider>
+      {/* quick exit (button or Esc ×3) works in every mode */}
+      <QuickExitButton />
+      {/* crisis resources stay on screen whichever mode is mounted */}
+      <CrisisResourcesPanel />
       {/* <VoiceAvatarApp /> */}
       {/* <VRMAvatarApp /> */}
       <TalkingAvatar />
-    </div>
+    </CrisisProvider>
   );
 }
 
@@ -0,0 +1,106 @@
+// src/AvatarGallery.js
+import React, { useRef, useState } from "react";
+import { Alert, Button, Form } from "react-bootstrap";
+import { validateVrmFile } from "./avatarCatalog";
+
+const THUMB = 64;
+
+function Thumbnail({ avatar }) {
+  const [broken, setBroken] = useState(false);
+  if (avatar.thumbnail && !broken) {
+    return (
+      <img
+        src={avatar.thumbnail}
+        alt=""
+        width={THUMB}
+        height={THUMB}
+        className="rounded"
+        style={{ objectFit: "cover" }}
+        onError={() => setBroken(true)}
+      />
+    );
+  }
+  return (
+    <div
+      className="rounded bg-secondary-subtle d-flex align-items-center justify-content-center fs-4 text-secondary"
+      style={{ width: THUMB, height: THUMB }}
+      aria-hidden="true"
+    >
+      {avatar.name.charAt(0).toUpperCase()}
+    </div>
+  );
+}
+
+/**
+ * Pick a bundled avatar, or drop/choose your own .vrm. Local files are checked
+ * here and handed to onFile; they stay on this device.
+ * selectedId is "local" while the user's own file is shown.
+ */
+export default function AvatarGallery({ avatars, selectedId, localName, busy, error, onSelect, onFile }) {
+  const [fileError, setFileError] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const takeFile = async (file) => {
+    if (inputRef.current) inputRef.current.value = "";
+    const problem = await validateVrmFile(file);
+    setFileError(problem || "");
+    if (!problem) onFile(file);
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!busy) takeFile(e.dataTransfer.files?.[0]);
+  };
+
+  const shownError = fileError || error;
+
+  return (
+    <div className="p-2 border rounded">
+      <div className="small text-muted mb-2">Choose your companion</div>
+      <div className="d-flex flex-wrap gap-2" role="radiogroup" aria-label="Avatar">
+        {avatars.map((a) => (
+          <Button
+            key={a.id}
+            variant={a.id === selectedId ? "primary" : "outline-secondary"}
+            className="p-1 d-flex flex-column align-items-center"
+            role="radio"
+            aria-checked={a.id === selectedId}
+            disabled={busy}
+            onClick={() => { setFileError(""); onSelect(a); }}
+          >
+            <Thumbnail avatar={a} />
+            <span className="small mt-1">{a.name}</span>
+          </Button>
+        ))}
+      </div>
+      <div
+        className={`mt-2 p-2 rounded border border-2 ${dragging ? "border-primary bg-light" : ""}`}
+        style={{ borderStyle: "dashed" }}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+      >
+        <Form.Label htmlFor="avatar-file" className="small text-muted mb-1">
+          Or drop your own .vrm here. It's opened on this device and never uploaded.
+        </Form.Label>
+        <Form.Control
+          id="avatar-file"
+          ref={inputRef}
+          type="file"
+          size="sm"
+          accept=".vrm"
+          disabled={busy}
+          onChange={(e) => takeFile(e.target.files?.[0])}
+        />
+        {selectedId === "local" && localName && (
+          <div className="small text-muted mt-1">
+            Showing {localName}. Your own file isn't remembered after you leave.
+          </div>
+        )}
+      </div>
+      {shownError && <Alert variant="warning" className="mt-2 mb-0 py-1 small">{shownError}</Alert>}
+    </div>
+  );
+}
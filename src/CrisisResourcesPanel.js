@@ -0,0 +1,130 @@
+// src/CrisisResourcesPanel.js
+import React, { createContext, useCallback, useContext, useEffect, useState } from "react";
+import { Alert, Button, Form } from "react-bootstrap";
+import { maxRisk, riskAtLeast } from "./crisisDetector";
+import { REGIONS, getRegion, loadRegion, saveRegion, serviceHref, serviceLabel } from "./crisisResources";
+import { QUICK_EXIT_GUTTER, useQuickExitCleanup } from "./quickExit";
+
+// ---------- shared risk state ----------
+// Every mode reports what its local detector saw; the panel lives above all modes.
+// offerResources(list) opens the panel, adding services the server suggested.
+const CrisisContext = createContext({ level: "none", reportRisk: () => {}, offered: [], offerResources: () => {} });
+
+export function CrisisProvider({ children }) {
+  const [level, setLevel] = useState("none");
+  const [offer, setOffer] = useState({ resources: [], seq: 0 });
+  const reportRisk = useCallback((next) => setLevel((prev) => maxRisk(prev, next || "none")), []);
+  const offerResources = useCallback((list = []) => {
+    setOffer((o) => ({ resources: list.length ? list : o.resources, seq: o.seq + 1 }));
+  }, []);
+  useQuickExitCleanup(() => {
+    setLevel("none");
+    setOffer({ resources: [], seq: 0 });
+  });
+  return (
+    <CrisisContext.Provider value={{ level, reportRisk, offered: offer.resources, offerSeq: offer.seq, offerResources }}>
+      {children}
+    </CrisisContext.Provider>
+  );
+}
+
+export const useCrisis = () => useContext(CrisisContext);
+
+// ---------- panel ----------
+// Always rendered (collapsed to one line); expands on its own when risk rises.
+export default function CrisisResourcesPanel() {
+  const { level, offered, offerSeq } = useCrisis();
+  const [regionCode, setRegionCode] = useState(loadRegion);
+  const [expanded, setExpanded] = useState(false);
+
+  const urgent = riskAtLeast(level, "high");
+  const flagged = riskAtLeast(level, "moderate");
+  useEffect(() => { if (flagged) setExpanded(true); }, [level, flagged]);
+  useEffect(() => { if (offerSeq) setExpanded(true); }, [offerSeq]);
+
+  const region = getRegion(regionCode);
+  const chooseRegion = (code) => {
+    setRegionCode(code);
+    saveRegion(code);
+  };
+
+  return (
+    <Alert
+      variant={urgent ? "danger" : flagged ? "warning" : "light"}
+      className="mb-0 rounded-0 border-0 border-bottom py-2"
+      style={{ position: "sticky", top: 0, zIndex: 1030 }}
+      role="region"
+      aria-label="Crisis resources"
+      aria-live={flagged ? "assertive" : "polite"}
+    >
+      {/* the first row stops short of the fixed quick exit button, so "More help" is never under it */}
+      <div className="d-flex flex-wrap align-items-center gap-2" style={{ paddingRight: QUICK_EXIT_GUTTER }}>
+        <span className="fw-semibold">
+          {urgent
+            ? "You don't have to go through this alone."
+            : flagged
+              ? "It sounds like things are really hard right now."
+              : "Need to talk to a person now?"}
+        </span>
+        {region.services.slice(0, expanded ? undefined : 2).map((s, i) => (
+          <Button
+            key={`${s.name}-${s.kind}-${i}`}
+            as="a"
+            href={serviceHref(s)}
+            target={s.kind === "chat" ? "_blank" : undefined}
+            rel={s.kind === "chat" ? "noopener noreferrer" : undefined}
+            size="sm"
+            variant={i === 0 && flagged ? "primary" : "outline-dark"}
+            title={[s.name, s.hours].filter(Boolean).join(" · ")}
+          >
+            {serviceLabel(s)}
+          </Button>
+        ))}
+        <Button variant="link" size="sm" className="ms-auto" onClick={() => setExpanded((x) => !x)}>
+          {expanded ? "Less" : "More help"}
+        </Button>
+      </div>
+
+      {expanded && (
+        <div className="mt-2 small">
+          {region.emergency ? (
+            <div className="mb-2">
+              If you are in immediate danger, call <a href={`tel:${region.emergency}`}>{region.emergency}</a>.
+            </div>
+          ) : (
+            <div className="mb-2">If you are in immediate danger, call your local emergency number.</div>
+          )}
+          {offered?.length > 0 && (
+            <>
+              <div className="fw-semibold">Suggested for you</div>
+              <ul className="mb-2 ps-3">
+                {offered.map((s, i) => (
+                  <li key={`offered-${s.name}-${s.kind}-${i}`}>
+                    {s.name} — <a href={serviceHref(s)}>{serviceLabel(s)}</a>
+                    {s.hours ? <span className="text-muted"> ({s.hours})</span> : null}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <ul className="mb-2 ps-3">
+            {region.services.map((s, i) => (
+              <li key={`${s.name}-${s.kind}-${i}`}>
+                {s.name} — <a href={serviceHref(s)}>{serviceLabel(s)}</a>
+                {s.hours ? <span className="text-muted"> ({s.hours})</span> : null}
+              </li>
+            ))}
+          </ul>
+          <Form.Group className="d-flex align-items-center gap-2" controlId="crisis-region">
+            <Form.Label className="mb-0">Region</Form.Label>
+            <Form.Select size="sm" style={{ maxWidth: 260 }} value={regionCode} onChange={(e) => chooseRegion(e.target.value)}>
+              {REGIONS.map((r) => (
+                <option key={r.code} value={r.code}>{r.name}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </div>
+      )}
+    </Alert>
+  );
+}
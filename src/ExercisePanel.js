@@ -0,0 +1,130 @@
+// src/ExercisePanel.js
+import React, { useEffect, useRef, useState } from "react";
+import { Button } from "react-bootstrap";
+import { EXERCISES, exerciseAt, exerciseCues } from "./exercises";
+
+const TICK_MS = 50;
+const INTRO_FALLBACK_MS = 3000; // start anyway if TTS never begins
+
+function PacingRing({ view }) {
+  const R = 54;
+  const C = 2 * Math.PI * R;
+  const lung = view?.lung ?? 0;
+  return (
+    <svg width="120" height="120" viewBox="0 0 120 120" aria-hidden="true">
+      <circle cx="60" cy="60" r={R} fill="none" stroke="#dee2e6" strokeWidth="4" />
+      <circle
+        cx="60"
+        cy="60"
+        r={R}
+        fill="none"
+        stroke="#0d6efd"
+        strokeWidth="4"
+        strokeDasharray={C}
+        strokeDashoffset={C * (1 - (view?.progress ?? 0))}
+        transform="rotate(-90 60 60)"
+      />
+      <circle cx="60" cy="60" r={20 + 26 * lung} fill="rgba(13,110,253,0.18)" stroke="#0d6efd" strokeWidth="2" />
+    </svg>
+  );
+}
+
+/**
+ * Breathing / grounding exercise runner.
+ * activeId: exercise being run (null = show the start buttons). The intro waits for
+ * any reply still being spoken; the clock starts once the intro has been said.
+ * breathRef.current = { active, lung } is read by the avatar every frame.
+ */
+export default function ExercisePanel({ activeId, onStart, onStop, onDone, speak, speaking, breathRef }) {
+  const ex = activeId ? EXERCISES[activeId] : null;
+  const [stage, setStage] = useState(null); // waiting | intro | running
+  const [view, setView] = useState(null);
+  const sawSpeechRef = useRef(false);
+  const speakRef = useRef(speak);
+  const onDoneRef = useRef(onDone);
+  speakRef.current = speak;
+  onDoneRef.current = onDone;
+
+  useEffect(() => {
+    setView(null);
+    setStage(activeId ? "waiting" : null);
+  }, [activeId]);
+
+  useEffect(() => {
+    if (!ex) return;
+    if (stage === "waiting" && !speaking) {
+      sawSpeechRef.current = false;
+      speakRef.current?.(ex.intro);
+      setStage("intro");
+    } else if (stage === "intro") {
+      if (speaking) sawSpeechRef.current = true;
+      else if (sawSpeechRef.current) setStage("running");
+    }
+  }, [ex, stage, speaking]);
+
+  useEffect(() => {
+    if (stage !== "intro") return;
+    const id = setTimeout(() => { if (!sawSpeechRef.current) setStage("running"); }, INTRO_FALLBACK_MS);
+    return () => clearTimeout(id);
+  }, [stage]);
+
+  useEffect(() => {
+    if (stage !== "running" || !ex) return;
+    const cues = exerciseCues(ex);
+    const t0 = performance.now();
+    let next = 0;
+    const id = setInterval(() => {
+      const t = (performance.now() - t0) / 1000;
+      while (next < cues.length && cues[next].at <= t) speakRef.current?.(cues[next++].text);
+      const s = exerciseAt(ex, t);
+      if (breathRef) breathRef.current = { active: !s.done, lung: s.lung };
+      if (s.done) {
+        clearInterval(id);
+        speakRef.current?.(ex.outro);
+        onDoneRef.current?.();
+        return;
+      }
+      setView(s);
+    }, TICK_MS);
+    return () => {
+      clearInterval(id);
+      if (breathRef) breathRef.current = { active: false, lung: 0 };
+    };
+  }, [stage, ex, breathRef]);
+
+  if (!ex) {
+    return (
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <span className="small text-muted">Take a moment:</span>
+        {Object.values(EXERCISES).map((e) => (
+          <Button key={e.id} size="sm" variant="outline-primary" onClick={() => onStart(e.id)}>
+            {e.label}
+          </Button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="d-flex align-items-center gap-3 p-2 border rounded">
+      <PacingRing view={view} />
+      <div className="flex-grow-1">
+        <div className="small text-muted">{ex.label}</div>
+        {stage === "running" && view ? (
+          <div aria-live="polite">
+            <div className="fs-4 fw-semibold">{view.label}</div>
+            <div className="text-muted">{view.secondsLeft}</div>
+            {ex.kind === "grounding" && (
+              <div className="small">{ex.steps[view.stepIndex].prompt}</div>
+            )}
+          </div>
+        ) : (
+          <div className="small">{ex.intro}</div>
+        )}
+      </div>
+      <Button size="sm" variant="outline-secondary" onClick={onStop}>
+        Stop
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+// src/MessageComposer.js
+import React, { useState } from "react";
+import { Button, Form } from "react-bootstrap";
+import { useQuickExitCleanup } from "./quickExit";
+
+/**
+ * Typed input for people who can't (or don't want to) speak aloud.
+ * Single-line mode: Enter sends, Shift+Enter adds a line.
+ * Multi-line mode: Enter adds a line, Ctrl/Cmd+Enter sends.
+ */
+export default function MessageComposer({ onSend, disabled, replyWithSpeech, onReplyWithSpeechChange }) {
+  const [value, setValue] = useState("");
+  const [multiline, setMultiline] = useState(false);
+  useQuickExitCleanup(() => setValue(""));
+
+  const send = () => {
+    const text = value.trim();
+    if (!text || disabled) return;
+    onSend(text);
+    setValue("");
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key !== "Enter" || e.nativeEvent.isComposing) return;
+    const wantsSend = multiline ? e.ctrlKey || e.metaKey : !e.shiftKey;
+    if (wantsSend) {
+      e.preventDefault();
+      send();
+    }
+  };
+
+  return (
+    <Form
+      onSubmit={(e) => { e.preventDefault(); send(); }}
+      aria-label="Type a message"
+    >
+      <div className="d-flex gap-2 align-items-end">
+        <Form.Control
+          as="textarea"
+          rows={multiline ? 4 : 1}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={onKeyDown}
+          placeholder={multiline ? "Type a message… (Ctrl+Enter to send)" : "Type a message… (Enter to send)"}
+          aria-label="Message"
+          style={{ resize: multiline ? "vertical" : "none" }}
+        />
+        <Button type="submit" variant="primary" disabled={disabled || !value.trim()}>
+          Send
+        </Button>
+      </div>
+      <div className="d-flex flex-wrap gap-3 mt-1">
+        <Form.Check
+          type="switch"
+          id="composer-multiline"
+          className="small"
+          label="Multi-line"
+          checked={multiline}
+          onChange={(e) => setMultiline(e.target.checked)}
+        />
+        <Form.Check
+          type="switch"
+          id="composer-reply-speech"
+          className="small"
+          label={replyWithSpeech ? "Avatar replies out loud" : "Avatar replies in text only"}
+          checked={replyWithSpeech}
+          onChange={(e) => onReplyWithSpeechChange(e.target.checked)}
+        />
+      </div>
+    </Form>
+  );
+}
@@ -0,0 +1,32 @@
+// src/QuickExitButton.js
+import React, { useEffect } from "react";
+import { Button } from "react-bootstrap";
+import { createEscapeCounter, quickExit, ESCAPE_PRESSES } from "./quickExit";
+
+/**
+ * Always-visible "leave now" control, plus Escape pressed 3× quickly anywhere.
+ * Mount once above the modes; each mode registers its own cleanup (useQuickExitCleanup).
+ */
+export default function QuickExitButton({ url, navigate }) {
+  useEffect(() => {
+    const pressed = createEscapeCounter();
+    const onKeyDown = (e) => {
+      if (e.key === "Escape" && pressed()) quickExit({ url, navigate });
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [url, navigate]);
+
+  return (
+    <Button
+      variant="danger"
+      size="sm"
+      className="fw-semibold shadow"
+      style={{ position: "fixed", top: 8, right: 8, zIndex: 1040, whiteSpace: "nowrap" }}
+      onClick={() => quickExit({ url, navigate })}
+      title={`Leave this site now (or press Esc ${ESCAPE_PRESSES} times)`}
+    >
+      Quick exit ✕
+    </Button>
+  );
+}
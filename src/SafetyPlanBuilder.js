@@ -0,0 +1,297 @@
+// src/SafetyPlanBuilder.js
+import React, { useEffect, useRef, useState } from "react";
+import { Alert, Badge, Button, CloseButton, Form } from "react-bootstrap";
+import {
+  SAFETY_PLAN_STEPS,
+  canStoreSafetyPlan,
+  deleteSafetyPlan,
+  emptySafetyPlan,
+  isSafetyPlanEmpty,
+  loadDeleteOnQuickExit,
+  loadSafetyPlan,
+  parseGuideCommand,
+  printSafetyPlan,
+  saveDeleteOnQuickExit,
+  saveSafetyPlan,
+} from "./safetyPlan";
+import { getRegion, loadRegion } from "./crisisResources";
+import { useQuickExitCleanup } from "./quickExit";
+
+const SAVE_DELAY_MS = 400;
+
+function StepEditor({ step, index, items, active, onAdd, onRemove }) {
+  const [value, setValue] = useState("");
+  const add = () => {
+    const text = value.trim();
+    if (!text) return;
+    onAdd(text);
+    setValue("");
+  };
+
+  return (
+    <div className={`mb-3 p-2 rounded ${active ? "border border-primary border-2" : ""}`}>
+      <div className="fw-semibold">
+        Step {index + 1}: {step.title}
+        {active && <Badge bg="primary" className="ms-2">now</Badge>}
+      </div>
+      <div className="small text-muted mb-1">{step.prompt}</div>
+      {items.length > 0 && (
+        <ul className="mb-1 ps-3">
+          {items.map((t, i) => (
+            <li key={`${i}-${t}`} className="d-flex align-items-center gap-2">
+              <span>{t}</span>
+              <CloseButton className="small" aria-label={`Remove "${t}"`} onClick={() => onRemove(i)} />
+            </li>
+          ))}
+        </ul>
+      )}
+      <Form
+        className="d-flex gap-2"
+        onSubmit={(e) => { e.preventDefault(); add(); }}
+      >
+        <Form.Control
+          size="sm"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={step.hint}
+          aria-label={`Add to ${step.title}`}
+        />
+        <Button type="submit" size="sm" variant="outline-primary" disabled={!value.trim()}>
+          Add
+        </Button>
+      </Form>
+    </div>
+  );
+}
+
+/**
+ * Guided safety plan, saved in this browser (readable by anyone who uses it).
+ * speak(text): the avatar's TTS; listen(): starts the STT loop (resolves false if it can't).
+ * While the voice guide runs, guideRef.current(text) receives each finished user turn.
+ * controlRef.current.startGuide() lets the parent start the guide (e.g. a suggested action).
+ */
+export default function SafetyPlanBuilder({ speak, listen, guideRef, controlRef }) {
+  const [open, setOpen] = useState(false);
+  const [plan, setPlan] = useState(emptySafetyPlan);
+  const [status, setStatus] = useState("");
+  const [guideStep, setGuideStep] = useState(null); // index while the voice guide runs
+  const [deleteOnExit, setDeleteOnExit] = useState(false);
+  const planRef = useRef(plan);
+  const stepRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const storable = canStoreSafetyPlan();
+
+  useEffect(() => {
+    if (!storable) return;
+    let cancelled = false;
+    loadSafetyPlan()
+      .then((saved) => {
+        if (!cancelled && saved) {
+          planRef.current = saved;
+          setPlan(saved);
+        }
+      })
+      .catch((e) => {
+        console.warn("Safety plan load failed", e);
+        if (!cancelled) setStatus("Couldn't open the saved plan on this device.");
+      });
+    loadDeleteOnQuickExit()
+      .then((on) => { if (!cancelled) setDeleteOnExit(on); })
+      .catch((e) => console.warn("Safety plan setting load failed", e));
+    return () => { cancelled = true; };
+  }, [storable]);
+
+  useEffect(() => () => {
+    clearTimeout(saveTimerRef.current);
+    if (guideRef) guideRef.current = null;
+  }, [guideRef]);
+
+  // Every edit goes through here; saving is debounced
+  const update = (fn) => {
+    const next = { ...fn(planRef.current), updatedAt: Date.now() };
+    planRef.current = next;
+    setPlan(next);
+    if (!storable) return;
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      saveSafetyPlan(planRef.current)
+        .then(() => setStatus("Saved in this browser."))
+        .catch((e) => {
+          console.warn("Safety plan save failed", e);
+          setStatus("Couldn't save on this device – print it to keep a copy.");
+        });
+    }, SAVE_DELAY_MS);
+  };
+
+  const addItem = (id, text) =>
+    update((p) => ({ ...p, steps: { ...p.steps, [id]: [...p.steps[id], text] } }));
+  const removeItem = (id, index) =>
+    update((p) => ({ ...p, steps: { ...p.steps, [id]: p.steps[id].filter((_, i) => i !== index) } }));
+
+  // ---------- voice guide ----------
+  const stepIntro = (i) => {
+    const step = SAFETY_PLAN_STEPS[i];
+    return `Step ${i + 1} of ${SAFETY_PLAN_STEPS.length}: ${step.title}. ${step.prompt}`;
+  };
+
+  const setStep = (i) => {
+    stepRef.current = i;
+    setGuideStep(i);
+  };
+
+  const endGuide = (message) => {
+    setStep(null);
+    if (message) speak?.(message);
+  };
+
+  const goTo = (i) => {
+    if (i >= SAFETY_PLAN_STEPS.length) {
+      endGuide("That's every step. Your plan is saved on this device, and you can print it any time. Keep it somewhere you can find it quickly.");
+      return;
+    }
+    setStep(i);
+    speak?.(stepIntro(i));
+  };
+
+  const hear = (text) => {
+    const i = stepRef.current;
+    if (i == null) return false;
+    const cmd = parseGuideCommand(text);
+    if (cmd === "stop") endGuide("Okay, we'll stop here. What you've added so far is saved.");
+    else if (cmd === "next") goTo(i + 1);
+    else if (cmd === "back") goTo(Math.max(0, i - 1));
+    else if (cmd === "repeat") speak?.(stepIntro(i));
+    else {
+      addItem(SAFETY_PLAN_STEPS[i].id, text);
+      speak?.("Got it. Anything else? Or say next to move on.");
+    }
+    return true;
+  };
+
+  if (guideRef) guideRef.current = guideStep != null ? hear : null;
+
+  const startGuide = async () => {
+    setOpen(true);
+    await listen?.(); // typed answers still work without speech recognition
+    setStep(0);
+    speak?.(
+      "Let's make your safety plan together, one step at a time. " +
+      "Say next to move on, back, repeat, or stop whenever you like. " +
+      stepIntro(0)
+    );
+  };
+
+  if (controlRef) controlRef.current = { startGuide };
+
+  // ---------- export / delete ----------
+  const onPrint = () => {
+    const ok = printSafetyPlan(planRef.current, { emergency: getRegion(loadRegion()).emergency });
+    if (!ok) setStatus("Allow pop-ups for this site to print or save as PDF.");
+  };
+
+  const onDelete = async () => {
+    if (!window.confirm("Delete your safety plan from this device?")) return;
+    clearTimeout(saveTimerRef.current);
+    endGuide();
+    planRef.current = emptySafetyPlan();
+    setPlan(planRef.current);
+    try {
+      if (storable) {
+        await deleteSafetyPlan();
+        if (deleteOnExit) await saveDeleteOnQuickExit(true); // the setting went with the database
+      }
+      setStatus("Deleted from this device.");
+    } catch {
+      setStatus("Couldn't delete the saved plan.");
+    }
+  };
+
+  const onDeleteOnExitChange = (on) => {
+    setDeleteOnExit(on);
+    saveDeleteOnQuickExit(on).catch((e) => {
+      console.warn("Safety plan setting save failed", e);
+      setStatus("Couldn't save that setting.");
+    });
+  };
+
+  // The saved copy stays in the browser unless the user asked for it to go too
+  useQuickExitCleanup(() => {
+    clearTimeout(saveTimerRef.current);
+    if (storable && deleteOnExit) {
+      deleteSafetyPlan().catch((e) => console.warn("Safety plan delete on quick exit failed", e));
+    }
+    stepRef.current = null;
+    setGuideStep(null);
+    setOpen(false);
+    planRef.current = emptySafetyPlan();
+    setPlan(planRef.current);
+    setStatus("");
+  });
+
+  return (
+    <div className="border rounded p-3">
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <span className="fw-semibold">My safety plan</span>
+        <Button size="sm" variant="link" onClick={() => setOpen((x) => !x)}>
+          {open ? "Hide" : "Open"}
+        </Button>
+        <div className="ms-auto d-flex gap-2">
+          {guideStep == null ? (
+            <Button size="sm" variant="primary" onClick={startGuide}>
+              Walk me through it
+            </Button>
+          ) : (
+            <Button size="sm" variant="outline-secondary" onClick={() => endGuide("Okay, we'll stop here.")}>
+              Stop guide
+            </Button>
+          )}
+          <Button size="sm" variant="outline-dark" onClick={onPrint} disabled={isSafetyPlanEmpty(plan)}>
+            Print / PDF
+          </Button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-3">
+          {!storable && (
+            <Alert variant="info" className="py-2 small">
+              This browser can't store the plan – print it or save it as a PDF before you leave.
+            </Alert>
+          )}
+          {storable && (
+            <div className="mb-3">
+              <div className="small text-muted">
+                Your plan is saved in this browser. Anyone who opens this site on this device can read it.
+              </div>
+              <Form.Check
+                type="switch"
+                id="plan-delete-on-exit"
+                className="small"
+                label="Delete my plan when I use quick exit"
+                checked={deleteOnExit}
+                onChange={(e) => onDeleteOnExitChange(e.target.checked)}
+              />
+            </div>
+          )}
+          {SAFETY_PLAN_STEPS.map((step, i) => (
+            <StepEditor
+              key={step.id}
+              step={step}
+              index={i}
+              items={plan.steps[step.id]}
+              active={guideStep === i}
+              onAdd={(text) => addItem(step.id, text)}
+              onRemove={(index) => removeItem(step.id, index)}
+            />
+          ))}
+          <div className="d-flex align-items-center gap-2">
+            <span className="small text-muted">{status}</span>
+            <Button size="sm" variant="outline-danger" className="ms-auto" onClick={onDelete} disabled={isSafetyPlanEmpty(plan)}>
+              Delete plan
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
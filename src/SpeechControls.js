@@ -0,0 +1,37 @@
+// src/SpeechControls.js
+import React from "react";
+import { Button, ProgressBar } from "react-bootstrap";
+
+/**
+ * Playback controls for the avatar's spoken reply, which is queued sentence by
+ * sentence. progress: { index, total } (1-based sentence being spoken) or null
+ * when nothing is queued; replay is still offered afterwards if canReplay.
+ */
+export default function SpeechControls({ progress, paused, canReplay, onPause, onResume, onSkip, onReplay }) {
+  if (!progress && !canReplay) return null;
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2 mb-2" role="group" aria-label="Avatar speech">
+      {progress && (
+        <>
+          {paused ? (
+            <Button size="sm" variant="primary" onClick={onResume}>▶ Resume</Button>
+          ) : (
+            <Button size="sm" variant="outline-primary" onClick={onPause}>❚❚ Pause</Button>
+          )}
+          <Button size="sm" variant="outline-secondary" onClick={onSkip}>Skip sentence ⏭</Button>
+        </>
+      )}
+      <Button size="sm" variant="outline-secondary" onClick={onReplay} disabled={!canReplay}>
+        ↺ Replay last sentence
+      </Button>
+      {progress && (
+        <div className="flex-grow-1" style={{ minWidth: 140 }} aria-live="polite">
+          <div className="small text-muted">
+            Sentence {progress.index} of {progress.total}{paused ? " (paused)" : ""}
+          </div>
+          <ProgressBar now={(100 * progress.index) / progress.total} style={{ height: 4 }} aria-hidden="true" />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// src/SuggestedActions.js
+import React from "react";
+import { Button } from "react-bootstrap";
+
+/**
+ * Buttons for the server's suggested_actions (see replySchema.js).
+ * Links open in a new tab; everything else goes to onAction(action).
+ */
+export default function SuggestedActions({ actions, onAction }) {
+  if (!actions?.length) return null;
+  return (
+    <div className="d-flex flex-wrap gap-2 mt-2" role="group" aria-label="Suggested next steps">
+      {actions.map((a, i) =>
+        a.type === "link" ? (
+          <Button
+            key={`${a.type}-${i}`}
+            as="a"
+            href={a.value}
+            target="_blank"
+            rel="noopener noreferrer"
+            size="sm"
+            variant="outline-secondary"
+          >
+            {a.label} ↗
+          </Button>
+        ) : (
+          <Button
+            key={`${a.type}-${i}`}
+            size="sm"
+            variant={a.type === "resources" ? "outline-danger" : "outline-primary"}
+            onClick={() => onAction(a)}
+          >
+            {a.label}
+          </Button>
+        )
+      )}
+    </div>
+  );
+}
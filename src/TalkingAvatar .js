@@ -1,16 +1,48 @@
 // src/components/avatar/TalkingAvatar.jsx
-import React, { useEffect, useRef, useState } from "react";
-import { Card, Button, Alert, Spinner, Row, Col, Badge } from "react-bootstrap";
+import React, { useEffect, useReducer, useRef, useState } from "react";
+import { Card, Button, Alert, Spinner, Row, Col, Badge, Form, ProgressBar } from "react-bootstrap";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import {
-  VRM, VRMUtils, VRMLoaderPlugin, VRMHumanBoneName,
+  VRM, VRMUtils, VRMLoaderPlugin,
 } from "@pixiv/three-vrm";
+import { streamChat, splitSentences } from "./chatStream";
+import { assessRisk, maxRisk, riskAtLeast } from "./crisisDetector";
+import { useCrisis } from "./CrisisResourcesPanel";
+import { PreRoll, ServerRecognizer, canRecordAudio, discardPreRoll } from "./recorderSTT";
+import { BrowserWhisperRecognizer, canRunBrowserWhisper, subscribeWhisperStatus } from "./browserWhisper";
+import { BargeInDetector, startMicMonitor } from "./voiceActivity";
+import { useConversation, DEFAULT_HISTORY_WINDOW } from "./conversation";
+import TranscriptView from "./TranscriptView";
+import MessageComposer from "./MessageComposer";
+import SafetyPlanBuilder from "./SafetyPlanBuilder";
+import ExercisePanel from "./ExercisePanel";
+import { exerciseForAction } from "./exercises";
+import { parseReply, REPLY_SCHEMA_VERSION } from "./replySchema";
+import { ExpressionController, emotionFromText } from "./expressionController";
+import { VisemeTrack, VISEMES } from "./lipSync";
+import { BodyLanguage, avatarReducer, avatarStateName, initialAvatarState } from "./avatarState";
+import { Backchannel, loadBackchannelSettings, saveBackchannelSettings } from "./backchannel";
+import { AvatarAnimator, loadAnimationClip, loadAnimationManifest } from "./avatarAnimation";
+import { getBones } from "./vrmBones";
+import AnimationPreview from "./AnimationPreview";
+import AvatarGallery from "./AvatarGallery";
+import {
+  friendlyAvatarError, loadAvatarChoice, loadAvatarManifest, pickAvatar, saveAvatarChoice,
+} from "./avatarCatalog";
+import { AudioLipSync, getAudioContext } from "./audioLipSync";
+import {
+  NEURAL_VOICE, NEURAL_VOICE_LABEL, canRunNeuralTTS, preloadNeuralTTS, subscribeNeuralTTSStatus, synthesizeSpeech,
+} from "./neuralTTS";
+import SuggestedActions from "./SuggestedActions";
+import SpeechControls from "./SpeechControls";
+import { useQuickExitCleanup } from "./quickExit";
 
-// const VRM_URL = "/avatars/si0JK_MIHIRO.vrm";
-const VRM_URL = "/avatars/4876888923308523849.vrm";
+// Animation preview is an authoring tool: dev builds, or REACT_APP_ANIMATION_PREVIEW=true
+const SHOW_ANIMATION_PREVIEW =
+  process.env.NODE_ENV !== "production" || process.env.REACT_APP_ANIMATION_PREVIEW === "true";
 
 /* ===================== Mobile/HTTPS helpers ===================== */
 const hasSecureContext = () =>
@@ -19,6 +51,15 @@ const hasSecureContext = () =>
 
 const getSR = () => window.SpeechRecognition || window.webkitSpeechRecognition;
 
+// STT engines: the browser's own recognizer, MediaRecorder → local Whisper (/api/asr),
+// or Whisper running on this device in a worker (no audio leaves the browser)
+const STT_ENGINES = {
+  browser: { label: "Browser speech recognition", available: () => !!getSR() },
+  server: { label: "Local Whisper server", available: canRecordAudio },
+  device: { label: "On-device Whisper (private)", available: canRunBrowserWhisper },
+};
+const defaultSttEngine = () => (typeof window !== "undefined" && getSR() ? "browser" : "server");
+
 // One-time “unlock” for mobile: request mic + prime TTS (requires user gesture)
 let unlockedMedia = false;
 async function unlockMobileAudio() {
@@ -33,6 +74,8 @@ async function unlockMobileAudio() {
       u.volume = 0;
       window.speechSynthesis.speak(u);
     }
+    // ...and WebAudio, used for audio clips and the neural voice
+    try { getAudioContext(); } catch {}
 
     unlockedMedia = true;
     return true;
@@ -50,6 +93,7 @@ async function loadVRM(url) {
   const gltf = await loader.loadAsync(url);
   const vrm = gltf.userData.vrm;
   if (!vrm) throw new Error("Loaded GLTF does not contain a VRM model.");
+  if (!vrm.humanoid) throw new Error("VRM has no humanoid bones.");
   VRMUtils.removeUnnecessaryJoints(vrm.scene);
   vrm.scene.traverse((obj) => (obj.frustumCulled = false));
   vrm.scene.rotation.y = 0; // face forward
@@ -57,43 +101,84 @@ async function loadVRM(url) {
 }
 
 // ---------- Helper: make VRM look at the camera ----------
-function LookAtTarget({ vrm }) {
+// (or up and to one side of it while thinking, see avatarState.js)
+function LookAtTarget({ vrm, bodyRef }) {
   const { camera } = useThree();
+  const targetRef = useRef(null);
+  if (!targetRef.current) targetRef.current = new THREE.Object3D();
   useFrame(() => {
-    if (vrm?.lookAt) vrm.lookAt.target = camera;
+    if (!vrm?.lookAt) return;
+    const target = targetRef.current;
+    const body = bodyRef?.current;
+    target.position.copy(camera.position);
+    if (body) {
+      target.position.x += 0.5 * body.side * body.pose.gaze;
+      target.position.y += 0.35 * body.pose.gaze;
+    }
+    vrm.lookAt.target = target;
   });
   return null;
 }
 
 // ---------- Scene with VRM ----------
-function VRMScene({ vrm, speaking }) {
+function VRMScene({ vrm, speaking, breathRef, emotion, visemeRef, avatarState, backchannelRef, reducedMotion, animatorRef }) {
   const groupRef = useRef(null);
   const tRef = useRef(0);
 
   const bonesRef = useRef(null);
-  const getBones = (vrm) => {
-    if (!vrm) return null;
-    const h = vrm.humanoid;
-    const get = (n) => h?.getNormalizedBoneNode(n) || null;
-    return {
-      head: get(VRMHumanBoneName.Head),
-      neck: get(VRMHumanBoneName.Neck),
-      chest: get(VRMHumanBoneName.Chest) || get(VRMHumanBoneName.UpperChest),
-      spine: get(VRMHumanBoneName.Spine),
-      lUpperArm: get(VRMHumanBoneName.LeftUpperArm),
-      rUpperArm: get(VRMHumanBoneName.RightUpperArm),
-      lLowerArm: get(VRMHumanBoneName.LeftLowerArm),
-      rLowerArm: get(VRMHumanBoneName.RightLowerArm),
-      lHand: get(VRMHumanBoneName.LeftHand),
-      rHand: get(VRMHumanBoneName.RightHand),
-      lShoulder: get(VRMHumanBoneName.LeftShoulder),
-      rShoulder: get(VRMHumanBoneName.RightShoulder),
-    };
-  };
 
   const blinkRef = useRef({ t: 0, nextBlink: 1.5 + Math.random() * 2.0, phase: 0, v: 0 });
   const gestureRef = useRef({ active: false, side: "right", t: 0, dur: 1.2, next: 2.5 });
   const dirRef = useRef({ l: +1, r: +1, done: false });
+  // a different avatar has different bones and arm directions
+  useEffect(() => {
+    bonesRef.current = null;
+    dirRef.current = { l: +1, r: +1, done: false };
+  }, [vrm]);
+  const lipRef = useRef({ aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 });
+  const browRef = useRef(0); // eyebrow-raise pulse from backchannel cues
+  const exprRef = useRef(null);
+  if (!exprRef.current) exprRef.current = new ExpressionController();
+
+  useEffect(() => { if (vrm) exprRef.current.attach(vrm); }, [vrm]);
+  useEffect(() => { exprRef.current.setEmotion(emotion?.name, emotion?.intensity); }, [emotion]);
+  const bodyRef = useRef(null);
+  if (!bodyRef.current) bodyRef.current = new BodyLanguage();
+  useEffect(() => { bodyRef.current.setState(avatarState); }, [avatarState]);
+
+  // Authored clips from the animation manifest (see avatarAnimation.js)
+  useEffect(() => {
+    if (!vrm) return;
+    const animator = new AvatarAnimator(vrm);
+    animatorRef.current = animator;
+    let alive = true;
+    (async () => {
+      const list = await loadAnimationManifest();
+      await Promise.all(list.map(async (c) => {
+        try {
+          const clip = await loadAnimationClip(c, vrm);
+          if (alive) animator.add(c.name, clip, { once: !!c.once });
+        } catch (e) {
+          console.warn(`Animation "${c.name}" failed to load`, e);
+        }
+      }));
+      if (!alive) return;
+      animator.setBase(bodyRef.current.state);
+      animator.playOnce("greeting");
+    })();
+    return () => {
+      alive = false;
+      animator.dispose();
+      if (animatorRef.current === animator) animatorRef.current = null;
+    };
+  }, [vrm, animatorRef]);
+  useEffect(() => {
+    animatorRef.current?.setBase(avatarState);
+    if (avatarState === "crisis") animatorRef.current?.playOnce("comfort");
+  }, [avatarState, animatorRef]);
+  useEffect(() => {
+    if (emotion?.name === "sad") animatorRef.current?.playOnce("comfort");
+  }, [emotion, animatorRef]);
 
   const clamp01 = (x) => Math.max(0, Math.min(1, x));
   const easeInOut = (x) => 0.5 - 0.5 * Math.cos(Math.PI * clamp01(x));
@@ -130,11 +215,41 @@ function VRMScene({ vrm, speaking }) {
     const raiseL = dirRef.current.l;
     const raiseR = dirRef.current.r;
 
+    const body = bodyRef.current.update(delta);
+    const sway = body.sway;
+
+    // active listening: nods, brow raises and blinks from the live transcript
+    const heard = backchannelRef?.current?.update();
+    heard?.cues.forEach((c) => {
+      if (c.type === "nod") bodyRef.current.nod(0.07 * c.strength, 0.5);
+      else if (c.type === "brow") browRef.current = Math.max(browRef.current, c.strength);
+      else if (c.type === "blink" && blinkRef.current.phase === 0) blinkRef.current.phase = 1;
+    });
+    browRef.current = Math.max(0, browRef.current - delta * 2.5);
+
+    // an authored clip replaces the procedural base pose below; the layers that
+    // add to it (state, breathing, mouth, blink, look-at) still apply on top
+    const animator = animatorRef.current;
+    const authored = !!animator?.active;
+    if (authored) vrm.humanoid?.resetNormalizedPose(); // bones the clip doesn't key stay at rest
+    animator?.update(delta);
+
     // idle sway
-    if (spine) { spine.rotation.x = Math.sin(tRef.current * 1.2) * 0.01; spine.rotation.y = Math.sin(tRef.current * 0.7) * 0.01; }
-    if (chest) { chest.rotation.x = Math.sin(tRef.current * 1.0) * 0.015; chest.rotation.y = Math.sin(tRef.current * 0.5) * 0.012; }
-    if (neck)  { neck.rotation.x = Math.sin(tRef.current * 0.9) * 0.02;   neck.rotation.y = Math.sin(tRef.current * 0.6 + 0.5) * 0.02; }
-    if (head)  { head.rotation.x = Math.sin(tRef.current * 1.1 + 0.3) * 0.018; head.rotation.y = Math.sin(tRef.current * 0.8) * 0.018; }
+    if (!authored) {
+      if (spine) { spine.rotation.x = Math.sin(tRef.current * 1.2) * 0.01 * sway; spine.rotation.y = Math.sin(tRef.current * 0.7) * 0.01 * sway; }
+      if (chest) { chest.rotation.x = Math.sin(tRef.current * 1.0) * 0.015 * sway; chest.rotation.y = Math.sin(tRef.current * 0.5) * 0.012 * sway; }
+      if (neck)  { neck.rotation.x = Math.sin(tRef.current * 0.9) * 0.02 * sway;   neck.rotation.y = Math.sin(tRef.current * 0.6 + 0.5) * 0.02 * sway; }
+      if (head)  { head.rotation.x = Math.sin(tRef.current * 1.1 + 0.3) * 0.018 * sway; head.rotation.y = Math.sin(tRef.current * 0.8) * 0.018 * sway; head.rotation.z = 0; }
+    }
+
+    // conversational state: lean in to listen, look away to think, shrug on errors
+    if (spine) spine.rotation.x += body.lean * 0.6;
+    if (chest) chest.rotation.x += body.lean * 0.4;
+    if (head) {
+      head.rotation.x += (reducedMotion ? 0 : bodyRef.current.nodPitch) - 0.06 * body.gaze;
+      head.rotation.y += 0.12 * body.gaze * bodyRef.current.side;
+      head.rotation.z += body.tilt;
+    }
 
     // arms rest
     const REST = 0.9;
@@ -142,18 +257,33 @@ function VRMScene({ vrm, speaking }) {
     const restZL = -raiseL * REST;
     const restZR = -raiseR * REST;
 
-    if (lUpperArm) { lUpperArm.rotation.z = restZL + Math.sin(tRef.current * 0.7) * 0.025; lUpperArm.rotation.x = Math.sin(tRef.current * 0.55) * 0.02; lUpperArm.rotation.y = 0; }
-    if (rUpperArm) { rUpperArm.rotation.z = restZR + Math.sin(tRef.current * 0.75 + 0.4) * 0.025; rUpperArm.rotation.x = Math.sin(tRef.current * 0.6) * 0.02; rUpperArm.rotation.y = 0; }
-    if (lLowerArm) lLowerArm.rotation.x = ELBOW + Math.sin(tRef.current * 0.85) * 0.03;
-    if (rLowerArm) rLowerArm.rotation.x = ELBOW + Math.sin(tRef.current * 0.9 + 0.25) * 0.03;
-    if (lHand) { lHand.rotation.y = Math.sin(tRef.current * 1.0) * 0.08; lHand.rotation.x = Math.sin(tRef.current * 0.5) * 0.04; }
-    if (rHand) { rHand.rotation.y = Math.sin(tRef.current * 1.05 + 0.35) * 0.08; rHand.rotation.x = Math.sin(tRef.current * 0.55 + 0.2) * 0.04; }
-    if (lShoulder) lShoulder.rotation.z =  0.035 * (raiseL === +1 ? 1 : -1) + Math.sin(tRef.current * 0.7) * 0.015;
-    if (rShoulder) rShoulder.rotation.z =  0.035 * (raiseR === -1 ? 1 : -1) + Math.sin(tRef.current * 0.75 + 0.45) * 0.015;
+    if (!authored) {
+      if (lUpperArm) { lUpperArm.rotation.z = restZL + Math.sin(tRef.current * 0.7) * 0.025; lUpperArm.rotation.x = Math.sin(tRef.current * 0.55) * 0.02; lUpperArm.rotation.y = 0; }
+      if (rUpperArm) { rUpperArm.rotation.z = restZR + Math.sin(tRef.current * 0.75 + 0.4) * 0.025; rUpperArm.rotation.x = Math.sin(tRef.current * 0.6) * 0.02; rUpperArm.rotation.y = 0; }
+      if (lLowerArm) lLowerArm.rotation.x = ELBOW + Math.sin(tRef.current * 0.85) * 0.03;
+      if (rLowerArm) rLowerArm.rotation.x = ELBOW + Math.sin(tRef.current * 0.9 + 0.25) * 0.03;
+      if (lHand) { lHand.rotation.y = Math.sin(tRef.current * 1.0) * 0.08; lHand.rotation.x = Math.sin(tRef.current * 0.5) * 0.04; }
+      if (rHand) { rHand.rotation.y = Math.sin(tRef.current * 1.05 + 0.35) * 0.08; rHand.rotation.x = Math.sin(tRef.current * 0.55 + 0.2) * 0.04; }
+      if (lShoulder) lShoulder.rotation.z =  0.035 * (raiseL === +1 ? 1 : -1) + Math.sin(tRef.current * 0.7) * 0.015;
+      if (rShoulder) rShoulder.rotation.z =  0.035 * (raiseR === -1 ? 1 : -1) + Math.sin(tRef.current * 0.75 + 0.45) * 0.015;
+    }
+    if (lShoulder) lShoulder.rotation.z += raiseL * 0.05 * body.shrug;
+    if (rShoulder) rShoulder.rotation.z += raiseR * 0.05 * body.shrug;
+
+    // guided breathing: chest rises and shoulders lift with the pacing ring
+    const breath = breathRef?.current;
+    if (breath?.active) {
+      const b = breath.lung;
+      if (spine) spine.rotation.x -= 0.03 * b;
+      if (chest) chest.rotation.x -= 0.06 * b;
+      if (neck) neck.rotation.x += 0.06 * b; // keep the gaze level
+      if (lShoulder) lShoulder.rotation.z += raiseL * 0.06 * b;
+      if (rShoulder) rShoulder.rotation.z += raiseR * 0.06 * b;
+    }
 
-    // tiny wave when speaking
+    // tiny wave when speaking (not in calm states like crisis, nor over an authored clip)
     const g = gestureRef.current;
-    if (!speaking) { g.active = false; g.next = 2.5; }
+    if (!speaking || body.gestures < 0.5 || authored) { g.active = false; g.next = 2.5; }
     else {
       g.next -= delta * 1.1;
       if (!g.active && g.next <= 0) {
@@ -179,16 +309,28 @@ function VRMScene({ vrm, speaking }) {
 
     // mouth + blink
     if (em) {
-      em.setValue("ih", 0); em.setValue("ou", 0); em.setValue("ee", 0); em.setValue("oh", 0);
-      let mouth = 0.02 + Math.max(0, Math.sin(tRef.current * 1.2)) * 0.01;
-      if (speaking) {
-        const s1 = (Math.sin(tRef.current * 8.0) + 1) * 0.5;
-        const s2 = (Math.sin(tRef.current * 3.7 + 1.3) + 1) * 0.5;
-        const s3 = (Math.sin(tRef.current * 1.9 + 0.7) + 1) * 0.5;
-        mouth = 0.05 + (0.65 * s1 + 0.25 * s2 + 0.10 * s3) * 0.8;
-        mouth = Math.min(1, Math.max(0, mouth));
+      // the audio signal when speech is a clip, phoneme visemes when only the
+      // TTS text is known, otherwise a generic flap
+      const track = speaking ? visemeRef?.current : null;
+      let target;
+      if (track) target = track.sample();
+      else {
+        let mouth = 0.02 + Math.max(0, Math.sin(tRef.current * 1.2)) * 0.01;
+        if (speaking) {
+          const s1 = (Math.sin(tRef.current * 8.0) + 1) * 0.5;
+          const s2 = (Math.sin(tRef.current * 3.7 + 1.3) + 1) * 0.5;
+          const s3 = (Math.sin(tRef.current * 1.9 + 0.7) + 1) * 0.5;
+          mouth = 0.05 + (0.65 * s1 + 0.25 * s2 + 0.10 * s3) * 0.8;
+          mouth = Math.min(1, Math.max(0, mouth));
+        }
+        target = { aa: mouth };
       }
-      em.setValue("aa", mouth);
+      const lip = lipRef.current;
+      const kLip = 1 - Math.exp(-delta / 0.04);
+      VISEMES.forEach((v) => {
+        lip[v] += ((target[v] || 0) - lip[v]) * kLip;
+        em.setValue(v, lip[v]);
+      });
 
       const B = blinkRef.current;
       B.t += delta;
@@ -196,6 +338,15 @@ function VRMScene({ vrm, speaking }) {
       if (B.phase === 1) { B.v += delta * 12; if (B.v >= 1) { B.v = 1; B.phase = 2; } }
       else if (B.phase === 2) { B.v -= delta * 10; if (B.v <= 0) { B.v = 0; B.phase = 0; B.t = 0; B.nextBlink = 1.5 + Math.random() * 2.0; }
       em.setValue("blink", clamp01(B.v));
+
+      // emotion blend underneath the visemes
+      const weights = exprRef.current.update(delta, { speaking });
+      exprRef.current.apply(em);
+      // soft listening face and brief brow raise (via "surprised") on top
+      if (heard) {
+        em.setValue("relaxed", Math.max(weights.relaxed, 0.35 * heard.engaged));
+        em.setValue("surprised", Math.max(weights.surprised, 0.25 * browRef.current));
+      }
       em.update();
     }
 
@@ -206,14 +357,14 @@ function VRMScene({ vrm, speaking }) {
 
   return (
     <group ref={groupRef}>
-      <LookAtTarget vrm={vrm} />
+      <LookAtTarget vrm={vrm} bodyRef={bodyRef} />
       <primitive object={vrm ? vrm.scene : new THREE.Group()} />
     </group>
   );
 }
 
 // ---------- Main Component ----------
-const TalkingAvatar = () => {
+const TalkingAvatar = ({ historyWindow = DEFAULT_HISTORY_WINDOW }) => {
   const [vrm, setVrm] = useState(null);
   const [loadingAvatar, setLoadingAvatar] = useState(true);
   const [error, setError] = useState("");
@@ -225,37 +376,143 @@ const TalkingAvatar = () => {
   const [listening, setListening] = useState(false);
   const [interim, setInterim] = useState("");
   const [finalText, setFinalText] = useState("");
+  const [sttEngine, setSttEngine] = useState(defaultSttEngine);
+  const [whisperStatus, setWhisperStatus] = useState(null);
 
   // TTS voice
   const [voiceList, setVoiceList] = useState([]);
   const [voiceName, setVoiceName] = useState("");
+  const [neuralStatus, setNeuralStatus] = useState(null);
 
   // NEW: auto-restart + TTS mute coordination
   const manualPauseRef = useRef(false);
   const restartTimerRef = useRef(null);
   const micPausedForTTSRef = useRef(false);
 
-  // Load VRM
+  // Streaming replies: sentences are spoken as soon as they complete
+  const [streamReplies, setStreamReplies] = useState(true);
+  const [replyDraft, setReplyDraft] = useState("");
+  const ttsQueueRef = useRef([]);
+  const ttsBusyRef = useRef(false);
+  const resumeTickerRef = useRef(null);
+  // Sentence queue playback: index of the sentence being spoken in this reply, the
+  // last queue item started (for replay) and whether the user paused
+  const playbackRef = useRef({ index: 0, last: null, paused: false });
+  const [ttsProgress, setTtsProgress] = useState(null); // { index, total }
+  const [ttsPaused, setTtsPaused] = useState(false);
+  const [canReplay, setCanReplay] = useState(false);
+  const currentUtteranceRef = useRef(null);
+  const streamOpenRef = useRef(false);
+
+  // Local crisis screen (works offline, independent of the backend)
+  const { reportRisk, offerResources, level: crisisLevel } = useCrisis();
+
+  // Session id + recent turns sent with every request (survives reloads)
+  const conversation = useConversation({ historyWindow });
+
+  // End-of-turn: finals are merged until the user has been quiet for `hangoverMs`
+  const [hangoverMs, setHangoverMs] = useState(1500);
+  const [turnCountdown, setTurnCountdown] = useState(null); // ms left, null = no pending turn
+  const hangoverRef = useRef(hangoverMs);
+  hangoverRef.current = hangoverMs;
+  const pendingTurnRef = useRef({ parts: [], risk: null, lastEventAt: 0 });
+  const turnTimerRef = useRef(null);
+  const vadRef = useRef(null);            // mic monitor, null if unavailable
+  const userVoiceRef = useRef({ active: false, lastAt: 0 });
+  const replyToRef = useRef(null);
+
+  // Barge-in (opt-in): the VAD mic keeps running during TTS and can cut the avatar off
+  const [bargeIn, setBargeIn] = useState(false);
+  const preRollRef = useRef(null);       // PreRoll recording the mic under the reply (recorder engines)
+  const bargeRef = useRef(null);        // BargeInDetector for the current reply
+  const levelHandlerRef = useRef(null); // latest onLevel handler (avoids stale closures)
+  const streamAbortRef = useRef(null);
+  const interruptedRef = useRef(null);  // what the avatar didn't get to say, sent with the next turn
+  const exitedRef = useRef(false);      // set by quick exit
+  const planGuideRef = useRef(null);    // safety plan voice guide takes turns while it runs
+  const planControlRef = useRef(null);
+  const visemeRef = useRef(null);       // VisemeTrack / AudioLipSync for the sentence being spoken
+  const animatorRef = useRef(null);     // the scene's AvatarAnimator (clips, preview)
+  const neuralAheadRef = useRef(new Map()); // sentence -> AudioBuffer promise (neural voice)
+
+  // Backchannel cues while the user talks (tunable; reduced motion drops nods/brows)
+  const [motion, setMotion] = useState(loadBackchannelSettings);
+  const backchannelRef = useRef(null);
+  if (!backchannelRef.current) backchannelRef.current = new Backchannel(motion);
+
+  // Conversational state for body language, fed by STT/TTS/network events
+  const [avatar, dispatchAvatar] = useReducer(avatarReducer, initialAvatarState);
+
+  // Structured reply fields: avatar expression, end of session
+  const [replyEmotion, setReplyEmotion] = useState(null); // { name, intensity }
+  const [sessionEnded, setSessionEnded] = useState(false);
+
+  // Breathing / grounding exercise; the mic is paused while it runs
+  const [exerciseId, setExerciseId] = useState(null);
+  const breathRef = useRef({ active: false, lung: 0 });
+  const resumeAfterExerciseRef = useRef(false);
+
+  // Typed replies can be answered out loud or in text only
+  const [replyWithSpeech, setReplyWithSpeech] = useState(true);
+  const replyWithSpeechRef = useRef(replyWithSpeech);
+  replyWithSpeechRef.current = replyWithSpeech;
+
+  // Avatar gallery (see avatarCatalog.js): bundled avatars plus the user's own file
+  const [gallery, setGallery] = useState(null); // { avatars, defaultId }
+  const [avatarChoice, setAvatarChoice] = useState(null); // manifest entry, or { id: "local", name, file, local }
+  const [avatarError, setAvatarError] = useState("");
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      const m = await loadAvatarManifest();
+      if (!mounted) return;
+      setGallery(m);
+      setAvatarChoice(pickAvatar(m, loadAvatarChoice()));
+    })();
+    return () => { mounted = false; };
+  }, []);
+
+  // Load VRM; a failed pick keeps whichever avatar was showing
   useEffect(() => {
+    if (!avatarChoice) return;
     let mounted = true;
+    // a local file gets its own object URL per run, revoked only by this run's cleanup
+    const url = avatarChoice.local ? URL.createObjectURL(avatarChoice.file) : avatarChoice.url;
+    setLoadingAvatar(true);
+    setAvatarError("");
     (async () => {
       try {
-        const model = await loadVRM(VRM_URL);
+        const model = await loadVRM(url);
         if (!mounted) return;
         setVrm(model);
+        if (!avatarChoice.local) saveAvatarChoice(avatarChoice.id);
       } catch (e) {
-        console.warn("No default VRM at", VRM_URL, e?.message || e);
-        setError("No default avatar loaded.");
+        console.warn("Avatar failed to load:", avatarChoice.name, e?.message || e);
+        if (mounted) setAvatarError(friendlyAvatarError(e, { local: avatarChoice.local }));
       } finally {
-        setLoadingAvatar(false);
+        if (mounted) setLoadingAvatar(false);
       }
     })();
-    return () => { mounted = false; };
-  }, []);
+    return () => {
+      mounted = false;
+      if (avatarChoice.local) URL.revokeObjectURL(url);
+    };
+  }, [avatarChoice]);
+
+  // Free the previous avatar's GPU resources once it's replaced
+  useEffect(() => () => { if (vrm) VRMUtils.deepDispose(vrm.scene); }, [vrm]);
+
+  const chooseLocalAvatar = (file) => {
+    setAvatarChoice({ id: "local", name: file.name, file, local: true });
+  };
 
   // Voices
   useEffect(() => {
-    if (!("speechSynthesis" in window)) return;
+    if (!("speechSynthesis" in window)) {
+      if (!voiceName && canRunNeuralTTS()) setVoiceName(NEURAL_VOICE);
+      return;
+    }
     const loadVoices = () => {
       const v = window.speechSynthesis.getVoices();
       setVoiceList(v);
@@ -269,6 +526,40 @@ const TalkingAvatar = () => {
     return () => window.speechSynthesis.removeEventListener("voiceschanged", loadVoices);
   }, [voiceName]);
 
+  // Release the VAD mic + turn timer on unmount
+  useEffect(() => () => {
+    clearInterval(turnTimerRef.current);
+    clearInterval(resumeTickerRef.current);
+    if (vadRef.current?.stop) vadRef.current.stop();
+  }, []);
+
+  useEffect(() => {
+    backchannelRef.current.configure(motion);
+    saveBackchannelSettings(motion);
+  }, [motion]);
+
+  // STT / TTS / crisis level → avatar state
+  useEffect(() => { dispatchAvatar({ type: listening ? "listen_start" : "listen_stop" }); }, [listening]);
+  useEffect(() => { dispatchAvatar({ type: speaking ? "speak_start" : "speak_end" }); }, [speaking]);
+  useEffect(() => { dispatchAvatar({ type: "crisis", active: riskAtLeast(crisisLevel, "high") }); }, [crisisLevel]);
+  useEffect(() => {
+    if (!avatar.error) return;
+    const t = setTimeout(() => dispatchAvatar({ type: "clear_error" }), 4000);
+    return () => clearTimeout(t);
+  }, [avatar.error]);
+
+  // On-device model download progress
+  useEffect(() => {
+    if (sttEngine !== "device") return;
+    return subscribeWhisperStatus(setWhisperStatus);
+  }, [sttEngine]);
+
+  useEffect(() => {
+    if (voiceName !== NEURAL_VOICE) return;
+    preloadNeuralTTS();
+    return subscribeNeuralTTSStatus(setNeuralStatus);
+  }, [voiceName]);
+
   // ---------- helpers ----------
   const cleanUserText = (txt) =>
     txt.replace(/\b(you said|you say)\b[:,\s]*/gi, "").replace(/\s+/g, " ").trim();
@@ -287,10 +578,16 @@ const TalkingAvatar = () => {
     return `${proto}//${host}:${port}/chat_llm/send`;
   }, []);
 
-  // HARD mute mic during TTS; auto-restart STT after TTS finishes
-  const speakText = (text) => {
-    if (!("speechSynthesis" in window) || !text?.trim()) return;
+  // Local Whisper server (src/server.js) for the fallback recognizer
+  const ASR_URL = React.useMemo(() => {
+    if (process.env.REACT_APP_ASR_BASE) {
+      return `${process.env.REACT_APP_ASR_BASE.replace(/\/$/, "")}/api/asr`;
+    }
+    return `${window.location.protocol}//${window.location.hostname}:3001/api/asr`;
+  }, []);
 
+  // HARD mute mic during TTS; auto-restart STT after TTS finishes
+  const muteMicForTTS = () => {
     // fully stop STT so it can't capture TTS
     try {
       if (recognitionRef.current) {
@@ -302,8 +599,156 @@ const TalkingAvatar = () => {
       }
     } catch {}
     setListening(false);
+  };
+
+  const resumeAfterTTS = () => {
+    // a streamed reply may still have sentences on the way
+    if (ttsBusyRef.current || streamOpenRef.current || !micPausedForTTSRef.current) return;
+    micPausedForTTSRef.current = false;
+    // Immediately restart STT unless user paused manually
+    if (!manualPauseRef.current) startListening(true);
+  };
+
+  const canSpeak = () => voiceName === NEURAL_VOICE || "speechSynthesis" in window;
+
+  // Chrome stops long/queued speech after ~15 s unless nudged
+  const startResumeTicker = () => {
+    if (resumeTickerRef.current) return;
+    resumeTickerRef.current = setInterval(() => {
+      try { window.speechSynthesis.resume(); } catch {}
+    }, 800);
+  };
+  const stopResumeTicker = () => {
+    clearInterval(resumeTickerRef.current);
+    resumeTickerRef.current = null;
+  };
+
+  const updateProgress = () => {
+    const { index } = playbackRef.current;
+    setTtsProgress(index ? { index, total: index + ttsQueueRef.current.length } : null);
+  };
+
+  // Stop the sentence being spoken (browser TTS, an audio clip or the neural
+  // voice); the rest of the queue is left alone
+  const stopCurrent = () => {
+    const cur = currentUtteranceRef.current;
+    currentUtteranceRef.current = null; // its end/error events are ignored from here on
+    stopResumeTicker();
+    try { window.speechSynthesis.cancel(); } catch {}
+    cur?.audio?.pause();
+    try { cur?.node?.stop(); } catch {}
+    cur?.lipSync?.detach();
+    visemeRef.current = null;
+    if (playbackRef.current.paused) {
+      playbackRef.current.paused = false;
+      setTtsPaused(false);
+      try { window.speechSynthesis.resume(); } catch {}
+      getAudioContext().resume().catch(() => {});
+    }
+  };
+
+  const cancelPlayback = () => {
+    stopCurrent();
+    neuralAheadRef.current.clear();
+  };
+
+  // Queue item { text, audio } (audio: URL or Blob): play it through an analyser
+  // so the mouth follows the real signal; falls back to browser TTS of `text`
+  const playClip = (item) => {
+    const audio = new Audio();
+    const url = item.audio instanceof Blob ? URL.createObjectURL(item.audio) : item.audio;
+    if (/^https?:/i.test(url)) audio.crossOrigin = "anonymous"; // analyser reads silence otherwise
+    audio.src = url;
+    const clip = { text: item.text || "", audio, lipSync: null };
+    try { clip.lipSync = new AudioLipSync(); clip.lipSync.attachElement(audio); } catch { clip.lipSync = null; }
+
+    const done = (failed) => {
+      if (url !== item.audio) URL.revokeObjectURL(url);
+      clip.lipSync?.detach();
+      if (currentUtteranceRef.current !== clip) return;
+      visemeRef.current = null;
+      if (failed && clip.text && "speechSynthesis" in window) ttsQueueRef.current.unshift({ text: clip.text, retry: true });
+      speakNext();
+    };
+    audio.onplaying = () => {
+      if (currentUtteranceRef.current === clip) visemeRef.current = clip.lipSync;
+      setSpeaking(true);
+    };
+    audio.onended = () => done(false);
+    audio.onerror = () => done(true);
+
+    ttsBusyRef.current = true;
+    currentUtteranceRef.current = clip;
+    audio.play().catch(() => { if (!playbackRef.current.paused) done(true); });
+  };
+
+  // Queue item spoken by the on-device neural voice through WebAudio; while it
+  // plays, the next sentence is synthesized so there's no gap between them
+  const playNeural = (text) => {
+    const clip = { text, node: null, lipSync: null };
+    ttsBusyRef.current = true;
+    currentUtteranceRef.current = clip;
+    const ahead = neuralAheadRef.current;
+    const pending = ahead.get(text) || synthesizeSpeech(text);
+    ahead.delete(text);
+
+    pending.then((buffer) => {
+      if (currentUtteranceRef.current !== clip) return;
+      const ctx = getAudioContext();
+      const node = ctx.createBufferSource();
+      node.buffer = buffer;
+      clip.node = node;
+      clip.lipSync = new AudioLipSync(ctx);
+      clip.lipSync.attachNode(node);
+      node.onended = () => {
+        clip.lipSync.detach();
+        if (currentUtteranceRef.current !== clip) return;
+        visemeRef.current = null;
+        speakNext();
+      };
+      visemeRef.current = clip.lipSync;
+      setSpeaking(true);
+      node.start();
+
+      const next = ttsQueueRef.current[0];
+      if (typeof next === "string" && !ahead.has(next)) ahead.set(next, synthesizeSpeech(next));
+    }).catch((e) => {
+      console.warn("Neural TTS failed, using the browser voice", e);
+      if (currentUtteranceRef.current !== clip) return;
+      if ("speechSynthesis" in window) ttsQueueRef.current.unshift({ text, browser: true, retry: true });
+      speakNext();
+    });
+  };
+
+  const speakNext = () => {
+    const item = ttsQueueRef.current.shift();
+    if (!item) {
+      ttsBusyRef.current = false;
+      currentUtteranceRef.current = null;
+      playbackRef.current.index = 0;
+      updateProgress();
+      setSpeaking(false);
+      resumeAfterTTS();
+      return;
+    }
+    if (!item.retry) playbackRef.current.index += 1;
+    playbackRef.current.last = item;
+    setCanReplay(true);
+    updateProgress();
+    if (item.audio) {
+      playClip(item);
+      return;
+    }
+    const text = item.text ?? item;
+    if (voiceName === NEURAL_VOICE && !item.browser) {
+      playNeural(text);
+      return;
+    }
+    if (!("speechSynthesis" in window)) {
+      speakNext();
+      return;
+    }
 
-    window.speechSynthesis.cancel();
     const u = new SpeechSynthesisUtterance(text);
     const chosen = voiceList.find((v) => v.name === voiceName);
     if (chosen) u.voice = chosen;
@@ -312,51 +757,425 @@ const TalkingAvatar = () => {
     u.pitch = 1.0;
     u.volume = 1.0;
 
+    // ignore events from utterances that were cancelled/replaced
     const finish = () => {
-      setSpeaking(false);
-      micPausedForTTSRef.current = false;
-      // Immediately restart STT unless user paused manually
-      if (!manualPauseRef.current) startListening(true);
+      if (currentUtteranceRef.current !== u) return;
+      stopResumeTicker();
+      visemeRef.current = null;
+      speakNext();
     };
 
-    u.onstart = () => setSpeaking(true);
+    u.onstart = () => {
+      if (currentUtteranceRef.current === u) {
+        visemeRef.current = new VisemeTrack(text, { rate: u.rate });
+        visemeRef.current.start();
+        startResumeTicker();
+      }
+      setSpeaking(true);
+    };
+    // word boundaries keep the mouth in step (Chrome/Edge/Safari; Firefox often has none)
+    u.onboundary = (ev) => {
+      if (currentUtteranceRef.current === u && ev.name !== "sentence") visemeRef.current?.boundary(ev.charIndex);
+    };
     u.onend = finish;
     u.onerror = finish;
 
+    ttsBusyRef.current = true;
+    currentUtteranceRef.current = u;
     window.speechSynthesis.speak(u);
   };
 
-  const sendToServer = async (msg) => {
+  const speakText = (text) => {
+    if (!canSpeak() || !text?.trim()) return;
+    muteMicForTTS();
+    cancelPlayback();
+    ttsQueueRef.current = splitSentences(text);
+    playbackRef.current.index = 0;
+    speakNext();
+  };
+
+  // Speak a recorded/synthesized clip (server TTS, a recorded message); `text` is the fallback
+  const speakAudio = (audio, text = "") => {
+    if (!audio) return speakText(text);
+    muteMicForTTS();
+    cancelPlayback();
+    ttsQueueRef.current = [{ audio, text }];
+    playbackRef.current.index = 0;
+    speakNext();
+  };
+
+  // Queue one sentence behind whatever is already being spoken
+  const enqueueSpeech = (sentence) => {
+    if (!canSpeak() || !sentence?.trim()) return;
+    ttsQueueRef.current.push(sentence);
+    if (ttsBusyRef.current) {
+      updateProgress();
+      return;
+    }
+    muteMicForTTS();
+    speakNext();
+  };
+
+  // ---------- speech controls ----------
+  const pauseSpeech = () => {
+    const cur = currentUtteranceRef.current;
+    if (!cur || playbackRef.current.paused) return;
+    playbackRef.current.paused = true;
+    setTtsPaused(true);
+    stopResumeTicker();
+    if (cur.audio) cur.audio.pause();
+    else if ("node" in cur) getAudioContext().suspend().catch(() => {});
+    else window.speechSynthesis.pause();
+    visemeRef.current?.pause?.();
+    setSpeaking(false);
+  };
+
+  const resumeSpeech = () => {
+    if (!playbackRef.current.paused) return;
+    playbackRef.current.paused = false;
+    setTtsPaused(false);
+    const cur = currentUtteranceRef.current;
+    if (cur?.audio) cur.audio.play().catch(() => {});
+    else if (cur && "node" in cur) getAudioContext().resume().catch(() => {});
+    else {
+      window.speechSynthesis.resume();
+      startResumeTicker();
+    }
+    visemeRef.current?.resume?.();
+    if (cur) setSpeaking(true);
+  };
+
+  const skipSentence = () => {
+    if (!ttsBusyRef.current) return;
+    stopCurrent();
+    speakNext();
+  };
+
+  // Say the most recently started sentence again (restarting it if it's still playing)
+  const replayLast = () => {
+    const { last } = playbackRef.current;
+    if (!last) return;
+    const again = { ...(typeof last === "string" ? { text: last } : last), retry: true };
+    if (ttsBusyRef.current) {
+      ttsQueueRef.current.unshift(again);
+      skipSentence();
+      return;
+    }
+    muteMicForTTS();
+    ttsQueueRef.current = [again];
+    playbackRef.current.index = 1;
+    speakNext();
+  };
+
+  const sendToServer = async (msg, meta = {}) => {
+    dispatchAvatar({ type: "request_start" });
     try {
       const res = await fetch(API_URL, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message: msg }),
+        body: JSON.stringify({ message: msg, ...meta }),
       });
       if (!res.ok) {
         const body = await res.text();
         throw new Error(`HTTP ${res.status} ${res.statusText} – ${body.slice(0,200)}`);
       }
-      const text = await res.text();
-      let reply = text;
-      try {
-        const j = JSON.parse(text);
-        reply = j?.message ?? j?.payload ?? text;
-      } catch { /* keep raw */ }
-      reply = cleanServerText(String(reply || ""));
-      return reply || "";
+      const reply = parseReply(await res.text());
+      reply.message = cleanServerText(reply.message);
+      return reply;
+    } catch (e) {
+      console.error(e);
+      setError(`Request failed: ${e?.message || e} (API: ${API_URL})`);
+      dispatchAvatar({ type: "error" });
+      return null;
+    } finally {
+      dispatchAvatar({ type: "request_end" });
+    }
+  };
+
+  // Streaming variant: tokens go to the UI, each finished sentence to TTS.
+  // Resolves with what was received ({ text, interrupted, reply }; interrupted after a barge-in);
+  // structured fields may come in any SSE event and are merged into `reply`.
+  const streamFromServer = async (msg, meta = {}) => {
+    setReplyDraft("");
+    streamOpenRef.current = true;
+    dispatchAvatar({ type: "request_start" });
+    const abort = new AbortController();
+    streamAbortRef.current = abort;
+    let first = true;
+    let received = "";
+    const fields = {};
+    const withFields = (text) => ({ ...parseReply({ ...fields, message: text }), message: text });
+    try {
+      const full = await streamChat(API_URL, { message: msg, ...meta, stream: true }, {
+        signal: abort.signal,
+        onToken: (tok) => {
+          received += tok;
+          setReplyDraft((s) => s + tok);
+        },
+        onSentence: (s) => {
+          // until the server says otherwise, the face follows what is being said
+          if (!fields.emotion) {
+            const guess = emotionFromText(s);
+            if (guess) setReplyEmotion(guess);
+          }
+          if (replyWithSpeechRef.current) enqueueSpeech(first ? cleanServerText(s) : s.replace(/\s+/g, " ").trim());
+          first = false;
+        },
+        onMeta: (m) => {
+          // token fields are per-event text; the rest describes the whole reply
+          const { token, delta, content, message, payload, done, ...rest } = m;
+          Object.assign(fields, rest);
+        },
+      });
+      const text = cleanServerText(full);
+      return { text, interrupted: false, reply: withFields(text) };
     } catch (e) {
+      if (e?.name === "AbortError") {
+        const text = cleanServerText(received);
+        return { text, interrupted: true, reply: withFields(text) };
+      }
       console.error(e);
       setError(`Request failed: ${e?.message || e} (API: ${API_URL})`);
-      return "";
+      dispatchAvatar({ type: "error" });
+      return { text: "", interrupted: false, reply: null };
+    } finally {
+      if (streamAbortRef.current === abort) streamAbortRef.current = null;
+      setReplyDraft("");
+      streamOpenRef.current = false;
+      dispatchAvatar({ type: "request_end" });
+      resumeAfterTTS();
+    }
+  };
+
+  // What the transcript keeps from a structured reply
+  const turnMeta = (reply) => (reply ? {
+    suggested_actions: reply.suggested_actions,
+    emotion: reply.emotion,
+    server_risk: reply.risk_level,
+  } : {});
+
+  // React to the structured fields of a reply (see replySchema.js)
+  const applyReply = (reply) => {
+    if (!reply) return;
+    if (reply.warnings.length) console.warn("Reply schema:", reply.warnings.join("; "));
+    if (reply.risk_level) reportRisk(reply.risk_level);
+    if (reply.resources.length) offerResources(reply.resources);
+    setReplyEmotion(reply.emotion ? { name: reply.emotion, intensity: 1 } : emotionFromText(reply.message));
+    const id = exerciseForAction(reply.action, reply.exercise);
+    if (id) startExercise(id);
+    if (reply.end_session) {
+      setSessionEnded(true);
+      pauseListening(); // the closing words are still spoken
+    }
+  };
+
+  const onSuggestedAction = (a) => {
+    if (a.type === "reply") sendTyped(a.value || a.label);
+    else if (a.type === "exercise") startExercise(exerciseForAction("breathing", a.value));
+    else if (a.type === "safety_plan") planControlRef.current?.startGuide();
+    else if (a.type === "resources") offerResources();
+  };
+
+  const startNewSession = () => {
+    setSessionEnded(false);
+    setReplyEmotion(null);
+    playbackRef.current.last = null;
+    setCanReplay(false);
+    conversation.reset();
+  };
+
+  const replyTo = async (msg, meta = {}, inputMode = sttEngine) => {
+    const riskLevel = meta.risk?.level ?? "none";
+    // history is taken before this turn is added, so the message isn't sent twice
+    const payload = {
+      ...conversation.requestContext({ input_mode: inputMode, risk_level: riskLevel, reply_schema: REPLY_SCHEMA_VERSION }),
+      ...meta,
+    };
+    conversation.addTurn("user", msg, { input_mode: inputMode, risk_level: riskLevel });
+
+    if (streamReplies) {
+      const { text, interrupted, reply } = await streamFromServer(msg, payload);
+      if (exitedRef.current) return;
+      if (text) conversation.addTurn("assistant", text, { interrupted, ...turnMeta(reply) });
+      applyReply(reply);
+      return;
+    }
+    const reply = await sendToServer(msg, payload);
+    if (exitedRef.current) return;
+    if (reply?.message) {
+      conversation.addTurn("assistant", reply.message, { interrupted: false, ...turnMeta(reply) });
+      if (replyWithSpeechRef.current) {
+        if (reply.audio_url) speakAudio(reply.audio_url, reply.message);
+        else speakText(reply.message);
+      }
+    }
+    applyReply(reply);
+    resumeAfterTTS(); // no-op while a reply is being spoken
+  };
+
+  replyToRef.current = replyTo;
+
+  // Screen a finalized phrase locally; the resources panel reacts immediately
+  const screenRisk = (msg) => {
+    const risk = assessRisk(msg);
+    reportRisk(risk.level);
+    return risk;
+  };
+
+  // ---------- turn assembly (VAD endpointing) ----------
+  const startVoiceMonitor = async () => {
+    if (vadRef.current) return;
+    const starting = {};
+    vadRef.current = starting;
+    try {
+      const mon = await startMicMonitor({
+        onSpeechStart: () => { userVoiceRef.current.active = true; },
+        // count the silence from the last voiced frame, not from the VAD's own hangover
+        onSpeechEnd: (lastVoiceAt) => { userVoiceRef.current = { active: false, lastAt: lastVoiceAt }; },
+        onLevel: (rms) => levelHandlerRef.current?.(rms),
+      });
+      if (vadRef.current === starting) vadRef.current = mon;
+      else mon.stop(); // paused while the mic was opening
+    } catch (e) {
+      console.warn("VAD unavailable, falling back to result timing", e);
+      vadRef.current = null;
+    }
+  };
+
+  const stopVoiceMonitor = () => {
+    stopPreRoll(); // it only runs under the monitor's barge-in watch
+    if (vadRef.current?.stop) vadRef.current.stop();
+    vadRef.current = null;
+    userVoiceRef.current = { active: false, lastAt: 0 };
+  };
+
+  const clearPendingTurn = () => {
+    clearInterval(turnTimerRef.current);
+    turnTimerRef.current = null;
+    pendingTurnRef.current = { parts: [], risk: null, lastEventAt: 0 };
+    setTurnCountdown(null);
+  };
+
+  const flushTurn = () => {
+    const { parts, risk, inputMode } = pendingTurnRef.current;
+    clearPendingTurn();
+    backchannelRef.current.reset();
+    const msg = parts.join(" ").trim();
+    if (!msg) return;
+    // answers to the safety plan guide stay on this device
+    if (planGuideRef.current?.(msg)) return;
+    const meta = { risk };
+    if (interruptedRef.current) {
+      const { speechStartedAt, ...interrupted } = interruptedRef.current;
+      meta.interrupted = interrupted;
+      interruptedRef.current = null;
+    }
+    replyToRef.current?.(msg, meta, inputMode);
+  };
+
+  // ---------- barge-in ----------
+  // Stop the current reply (speech + stream), remembering what went unsaid
+  const cutOffReply = () => {
+    bargeRef.current = null;
+    if (!ttsBusyRef.current && !streamAbortRef.current) return;
+    streamAbortRef.current?.abort();
+    interruptedRef.current = {
+      sentence: currentUtteranceRef.current?.text || "",
+      unspoken: ttsQueueRef.current.map((q) => q.text ?? q),
+    };
+    ttsQueueRef.current = [];
+    cancelPlayback();
+    ttsBusyRef.current = false;
+    playbackRef.current.index = 0;
+    updateProgress();
+    setSpeaking(false);
+  };
+
+  const stopPreRoll = () => {
+    preRollRef.current?.stop();
+    preRollRef.current = null;
+  };
+
+  // The recognizer is stopped while the avatar talks and restarts here. The
+  // recorder engines get the pre-roll, so the user's first words are part of their
+  // first utterance; browser recognition can't take audio, so those words are lost
+  // and the next turn reports the gap as interrupted.unheard_ms.
+  const interruptSpeech = () => {
+    const heardFor = bargeRef.current?.voiceMs ?? 0;
+    const preroll = preRollRef.current?.take() || null;
+    stopPreRoll();
+    cutOffReply();
+    if (interruptedRef.current && !preroll) interruptedRef.current.speechStartedAt = performance.now() - heardFor;
+    micPausedForTTSRef.current = false;
+    userVoiceRef.current.active = true; // the user is mid-sentence right now
+    if (manualPauseRef.current || !startListening(true, preroll)) discardPreRoll(preroll);
+  };
+
+  levelHandlerRef.current = (rms) => {
+    if (!bargeIn || !ttsBusyRef.current) {
+      bargeRef.current = null;
+      if (preRollRef.current) stopPreRoll();
+      return;
+    }
+    if (!bargeRef.current) {
+      bargeRef.current = new BargeInDetector();
+      if (sttEngine !== "browser" && !preRollRef.current) {
+        preRollRef.current = new PreRoll();
+        preRollRef.current.start();
+      }
     }
+    if (bargeRef.current.update(rms)) interruptSpeech();
+  };
+
+  // The turn ends once neither the recognizer nor the VAD has heard the user for hangoverMs
+  const tickTurn = () => {
+    const turn = pendingTurnRef.current;
+    if (!turn.parts.length) return clearPendingTurn();
+    const voice = userVoiceRef.current;
+    const now = performance.now();
+    const quietSince = voice.active ? now : Math.max(turn.lastEventAt, voice.lastAt);
+    const left = Math.max(0, hangoverRef.current - (now - quietSince));
+    setTurnCountdown(left);
+    if (left <= 0) flushTurn();
+  };
+
+  // Any recognizer activity (interim or final) pushes the end of the turn back
+  const noteUserActivity = () => {
+    pendingTurnRef.current.lastEventAt = performance.now();
+  };
+
+  const addToTurn = (text, risk, inputMode) => {
+    const turn = pendingTurnRef.current;
+    turn.parts.push(text);
+    if (inputMode) turn.inputMode = inputMode;
+    turn.risk = !turn.risk ? risk : {
+      level: maxRisk(turn.risk.level, risk.level),
+      matches: [...turn.risk.matches, ...risk.matches],
+    };
+    noteUserActivity();
+    if (!turnTimerRef.current) turnTimerRef.current = setInterval(tickTurn, 100);
+    tickTurn();
+  };
+
+  // Typed messages join any half-finished spoken turn and go out immediately
+  const sendTyped = (text) => {
+    cutOffReply();
+    addToTurn(text, screenRisk(text), "text");
+    flushTurn();
   };
 
   // ---------- STT ----------
-  const startListening = (silentStart = false) => {
+  const createRecognizer = () => {
+    if (sttEngine === "server") return new ServerRecognizer(ASR_URL);
+    if (sttEngine === "device") return new BrowserWhisperRecognizer();
     const SR = getSR();
-    if (!SR) {
-      setError("Speech Recognition API not supported in this browser.");
+    return new SR();
+  };
+
+  // Returns true if a recognizer was started (it gets `preroll`, see recorderSTT.js)
+  const startListening = (silentStart = false, preroll = null) => {
+    if (!STT_ENGINES[sttEngine].available()) {
+      setError(`${STT_ENGINES[sttEngine].label} is not supported in this browser.`);
       return;
     }
     if (!hasSecureContext()) {
@@ -364,12 +1183,13 @@ const TalkingAvatar = () => {
       return;
     }
     // don't start while avatar is speaking
-    if (listening || speaking) return;
+    if (listening || ttsBusyRef.current) return;
 
     manualPauseRef.current = false;
     clearTimeout(restartTimerRef.current);
 
-    const rec = new SR();
+    const rec = createRecognizer();
+    if (preroll) rec.preroll = preroll;
     rec.lang = "en-US";
     rec.interimResults = true;
     rec.continuous = true;
@@ -377,10 +1197,17 @@ const TalkingAvatar = () => {
 
     if (!silentStart) setInterim(""); // keep prior finals
 
-    rec.onstart = () => setListening(true);
+    rec.onstart = () => {
+      setListening(true);
+      const cut = interruptedRef.current;
+      if (cut?.speechStartedAt != null && cut.unheard_ms == null) {
+        cut.unheard_ms = Math.round(performance.now() - cut.speechStartedAt);
+      }
+    };
 
-    rec.onresult = async (e) => {
+    rec.onresult = (e) => {
       if (speaking) return;
+      noteUserActivity();
 
       let interimBuf = "";
       let finalBuf = finalText;
@@ -397,22 +1224,28 @@ const TalkingAvatar = () => {
           finalBuf = (finalBuf ? finalBuf + " " : "") + cleaned;
           setFinalText(finalBuf);
 
-          const reply = await sendToServer(cleaned);
-          if (reply) speakText(reply);
+          addToTurn(cleaned, screenRisk(cleaned));
+          backchannelRef.current.hear(cleaned, { final: true });
         } else {
           interimBuf += " " + chunk;
         }
       }
       setInterim(interimBuf.trim());
+      if (interimBuf.trim()) backchannelRef.current.hear(interimBuf.trim());
     };
 
     rec.onerror = (ev) => {
       setListening(false);
+      if (ev?.message) {
+        setError(`Speech recognition: ${ev.message}`);
+        dispatchAvatar({ type: "error" });
+      }
       const shouldRestart =
         !manualPauseRef.current &&
         !speaking &&
         !micPausedForTTSRef.current &&
-        ev?.error !== "aborted";
+        ev?.error !== "aborted" &&
+        ev?.error !== "not-allowed";
       if (shouldRestart) {
         clearTimeout(restartTimerRef.current);
         restartTimerRef.current = setTimeout(() => startListening(true), 150);
@@ -433,22 +1266,116 @@ const TalkingAvatar = () => {
 
     recognitionRef.current = rec;
     rec.start();
+    startVoiceMonitor();
+    return true;
+  };
+
+  // ---------- quick exit ----------
+  // Drop everything said so far; replies still in flight are discarded on arrival
+  useQuickExitCleanup(() => {
+    exitedRef.current = true;
+    manualPauseRef.current = true;
+    clearTimeout(restartTimerRef.current);
+    stopVoiceMonitor();
+    clearPendingTurn();
+    streamAbortRef.current?.abort();
+    stopSpeaking();
+    dispatchAvatar({ type: "reset" });
+    playbackRef.current.last = null;
+    setCanReplay(false);
+    interruptedRef.current = null;
+    resumeAfterExerciseRef.current = false;
+    setExerciseId(null);
+    setReplyEmotion(null);
+    setSessionEnded(false);
+    const rec = recognitionRef.current;
+    recognitionRef.current = null;
+    if (rec) {
+      rec.onresult = null;
+      rec.onerror = null;
+      rec.onend = null;
+      try { rec.abort(); } catch {}
+    }
+    setListening(false);
+    setInterim("");
+    setFinalText("");
+    setReplyDraft("");
+    conversation.reset();
+  });
+
+  // User-initiated start (Start button, safety plan guide); resolves false if STT can't run
+  const startConversation = async () => {
+    manualPauseRef.current = false;
+    clearTimeout(restartTimerRef.current);
+    if (listening) return true;
+    if (!hasSecureContext()) {
+      setError("Speech recognition requires HTTPS (or localhost). Open this page via https:// on your phone.");
+      return false;
+    }
+    if (!STT_ENGINES[sttEngine].available()) {
+      setError(sttEngine === "browser"
+        ? "This browser doesn't support Web Speech Recognition. On mobile, use Chrome on Android or switch to the local Whisper server below."
+        : `${STT_ENGINES[sttEngine].label} needs MediaRecorder${sttEngine === "device" ? " and Web Workers" : ""}, which this browser lacks.`);
+      return false;
+    }
+    const ok = await unlockMobileAudio();
+    if (!ok) {
+      setError("Microphone permission is needed to start listening.");
+      return false;
+    }
+    startListening(false);
+    return true;
+  };
+
+  // ---------- breathing / grounding ----------
+  // Silence TTS without treating it as an interrupted reply
+  const stopSpeaking = () => {
+    ttsQueueRef.current = [];
+    cancelPlayback();
+    ttsBusyRef.current = false;
+    playbackRef.current.index = 0;
+    updateProgress();
+    setSpeaking(false);
+  };
+
+  const startExercise = (id) => {
+    const micWasOn = !manualPauseRef.current && (listening || micPausedForTTSRef.current);
+    if (micWasOn) pauseListening();
+    resumeAfterExerciseRef.current = resumeAfterExerciseRef.current || micWasOn;
+    setExerciseId(id);
+  };
+
+  const endExercise = () => {
+    setExerciseId(null);
+    if (!resumeAfterExerciseRef.current) return;
+    resumeAfterExerciseRef.current = false;
+    manualPauseRef.current = false;
+    if (ttsBusyRef.current) micPausedForTTSRef.current = true; // after the closing words
+    else startListening(true);
   };
 
   const pauseListening = () => {
     manualPauseRef.current = true;
     clearTimeout(restartTimerRef.current);
+    stopVoiceMonitor();
+    flushTurn(); // don't lose what was already said
     try { recognitionRef.current?.abort?.(); } catch {}
     setListening(false);
   };
 
+  // Highlight the reply being spoken (streamed replies show as the draft instead)
+  const lastTurn = conversation.turns[conversation.turns.length - 1];
+  const speakingTurnId = speaking && !replyDraft && lastTurn?.role === "assistant" ? lastTurn.id : null;
+
   // ----------------------------------------------------------------
   return (
     <Card className="shadow-sm p-4 mx-auto mt-4" style={{ maxWidth: "900px", width: "100%" }}>
       <h3 className="text-center text-primary fw-bold mb-3">Avatar: Talk ↔ Server ↔ Talk-back</h3>
       <p className="text-center text-muted mb-3">
-        Start talking; each finalized phrase goes to <code>/chat_llm/send</code>.
+        Start talking; each finalized phrase goes to <code>/chat_llm/send</code> (replies can stream in sentence by sentence).
         The avatar speaks the server reply (mic is muted during TTS and auto-restarts after silence).
+        Each phrase is also screened on this device so crisis resources appear right away.
+        Without browser speech recognition, switch to the local Whisper server (<code>npm run asr-server</code>).
       </p>
 
       {error && <Alert variant="warning">{error}</Alert>}
@@ -458,25 +1385,7 @@ const TalkingAvatar = () => {
           <div className="d-flex gap-2">
             <Button
               variant={listening ? "outline-success" : "success"}
-              onClick={async () => {
-                manualPauseRef.current = false;
-                clearTimeout(restartTimerRef.current);
-                if (!hasSecureContext()) {
-                  setError("Speech recognition requires HTTPS (or localhost). Open this page via https:// on your phone.");
-                  return;
-                }
-                const SR = getSR();
-                if (!SR) {
-                  setError("This browser doesn't support Web Speech Recognition. On mobile, use Chrome on Android or switch to server STT.");
-                  return;
-                }
-                const ok = await unlockMobileAudio();
-                if (!ok) {
-                  setError("Microphone permission is needed to start listening.");
-                  return;
-                }
-                startListening(false);
-              }}
+              onClick={startConversation}
               disabled={listening || loadingAvatar || !vrm || speaking}
             >
               {listening ? "Listening…" : "Start"}
@@ -485,9 +1394,51 @@ const TalkingAvatar = () => {
               Pause
             </Button>
           </div>
+          <Form.Select
+            size="sm"
+            className="mt-2"
+            aria-label="Speech recognition engine"
+            value={sttEngine}
+            onChange={(e) => { setError(""); setSttEngine(e.target.value); }}
+            disabled={listening}
+          >
+            {Object.entries(STT_ENGINES).map(([key, eng]) => (
+              <option key={key} value={key} disabled={!eng.available()}>
+                {eng.label}{eng.available() ? "" : " (unsupported)"}
+              </option>
+            ))}
+          </Form.Select>
           <div className="mt-2">
             <Badge bg={listening ? "success" : "secondary"}>{listening ? "Mic ON" : "Mic OFF"}</Badge>{" "}
             <Badge bg={speaking ? "primary" : "secondary"}>{speaking ? "Avatar Speaking" : "Idle"}</Badge>
+            {sttEngine === "device" && whisperStatus && whisperStatus.state !== "idle" && (
+              <>
+                {" "}
+                <Badge bg={whisperStatus.state === "error" ? "danger" : whisperStatus.state === "ready" ? "info" : "warning"}>
+                  {whisperStatus.state === "downloading"
+                    ? `Speech model ${whisperStatus.progress}%`
+                    : whisperStatus.state === "ready"
+                      ? "Speech model on device"
+                      : whisperStatus.state === "error"
+                        ? "Speech model failed"
+                        : "Loading speech model…"}
+                </Badge>
+              </>
+            )}
+            {voiceName === NEURAL_VOICE && neuralStatus && neuralStatus.state !== "idle" && (
+              <>
+                {" "}
+                <Badge bg={neuralStatus.state === "error" ? "danger" : neuralStatus.state === "ready" ? "info" : "warning"}>
+                  {neuralStatus.state === "downloading"
+                    ? `Voice model ${neuralStatus.progress}%`
+                    : neuralStatus.state === "ready"
+                      ? "Voice model on device"
+                      : neuralStatus.state === "error"
+                        ? "Voice model failed (using browser voice)"
+                        : "Loading voice model…"}
+                </Badge>
+              </>
+            )}
           </div>
         </Col>
 
@@ -495,12 +1446,66 @@ const TalkingAvatar = () => {
           <div className="small text-muted mb-1">Voice used for TTS (server reply)</div>
           <select className="form-select" value={voiceName} onChange={(e) => setVoiceName(e.target.value)}>
             {voiceList.length === 0 && <option value="">(Loading voices…)</option>}
+            {canRunNeuralTTS() && <option value={NEURAL_VOICE}>{NEURAL_VOICE_LABEL}</option>}
             {voiceList.map((v) => (
               <option key={`${v.name}-${v.lang}`} value={v.name}>
                 {v.name} — {v.lang}{v.default ? " (default)" : ""}
               </option>
             ))}
           </select>
+          <Form.Check
+            type="switch"
+            id="stream-replies"
+            className="mt-2 small"
+            label="Stream replies (speak each sentence as it arrives)"
+            checked={streamReplies}
+            onChange={(e) => setStreamReplies(e.target.checked)}
+          />
+          <Form.Check
+            type="switch"
+            id="barge-in"
+            className="mt-1 small"
+            label="Let me interrupt the avatar (barge-in; works best with headphones)"
+            checked={bargeIn}
+            onChange={(e) => setBargeIn(e.target.checked)}
+          />
+          {bargeIn && sttEngine === "browser" && (
+            <div className="small text-muted ms-4">
+              With browser speech recognition, the first words you say over the avatar may be missed.
+              The Whisper engines keep them.
+            </div>
+          )}
+          <Form.Label htmlFor="turn-hangover" className="small text-muted mt-2 mb-0">
+            Wait {(hangoverMs / 1000).toFixed(1)} s of silence before sending
+          </Form.Label>
+          {/* not below the VAD's own 0.9 s hangover, which the mic monitor always waits out */}
+          <Form.Range
+            id="turn-hangover"
+            min={1000}
+            max={4000}
+            step={250}
+            value={hangoverMs}
+            onChange={(e) => setHangoverMs(Number(e.target.value))}
+          />
+          <Form.Label htmlFor="backchannel-intensity" className="small text-muted mt-2 mb-0">
+            Listening nods &amp; expressions: {motion.intensity ? `${Math.round(motion.intensity * 100)}%` : "off"}
+          </Form.Label>
+          <Form.Range
+            id="backchannel-intensity"
+            min={0}
+            max={1}
+            step={0.1}
+            value={motion.intensity}
+            onChange={(e) => setMotion((m) => ({ ...m, intensity: Number(e.target.value) }))}
+          />
+          <Form.Check
+            type="switch"
+            id="reduced-motion"
+            className="small"
+            label="Reduce motion (no nods or eyebrow raises)"
+            checked={motion.reducedMotion}
+            onChange={(e) => setMotion((m) => ({ ...m, reducedMotion: e.target.checked }))}
+          />
         </Col>
       </Row>
 
@@ -510,15 +1515,86 @@ const TalkingAvatar = () => {
           <div className="fw-semibold" style={{ minHeight: 22 }}>{finalText}</div>
           <div className="small text-muted mt-2">Interim:</div>
           <div style={{ minHeight: 20 }}>{interim}</div>
+          {turnCountdown != null && (
+            <div className="mt-1" aria-live="polite">
+              <div className="small text-success">
+                Still listening… sending in {(turnCountdown / 1000).toFixed(1)} s
+              </div>
+              <ProgressBar
+                now={100 * (turnCountdown / hangoverMs)}
+                variant="success"
+                style={{ height: 4 }}
+                aria-hidden="true"
+              />
+            </div>
+          )}
         </div>
       </div>
 
+      <div className="mb-3">
+        <TranscriptView turns={conversation.turns} draft={replyDraft} activeId={speakingTurnId} />
+        {sessionEnded ? (
+          <Alert variant="info" className="mt-2 mb-0 py-2 d-flex align-items-center gap-2">
+            <span>This conversation has ended. The mic is off.</span>
+            <Button size="sm" variant="outline-primary" className="ms-auto" onClick={startNewSession}>
+              Start a new conversation
+            </Button>
+          </Alert>
+        ) : (
+          !replyDraft && lastTurn?.role === "assistant" && (
+            <SuggestedActions actions={lastTurn.meta?.suggested_actions} onAction={onSuggestedAction} />
+          )
+        )}
+        <div className="mt-2">
+          <MessageComposer
+            onSend={sendTyped}
+            replyWithSpeech={replyWithSpeech}
+            onReplyWithSpeechChange={setReplyWithSpeech}
+          />
+        </div>
+        <div className="mt-3">
+          <SafetyPlanBuilder speak={speakText} listen={startConversation} guideRef={planGuideRef} controlRef={planControlRef} />
+        </div>
+      </div>
+
+      <div className="mb-2">
+        <ExercisePanel
+          activeId={exerciseId}
+          onStart={startExercise}
+          onStop={() => { stopSpeaking(); endExercise(); }}
+          onDone={endExercise}
+          speak={speakText}
+          speaking={speaking}
+          breathRef={breathRef}
+        />
+      </div>
+
+      <SpeechControls
+        progress={ttsProgress}
+        paused={ttsPaused}
+        canReplay={canReplay}
+        onPause={pauseSpeech}
+        onResume={resumeSpeech}
+        onSkip={skipSentence}
+        onReplay={replayLast}
+      />
+
       <div className="rounded overflow-hidden" style={{ height: 480, background: "#0b1220" }}>
         <Canvas camera={{ position: [0, 1.3, 1.0], fov: 25 }}>
           <color attach="background" args={["#0b1220"]} />
           <ambientLight intensity={0.6} />
           <directionalLight position={[2, 3, 2]} intensity={1.0} />
-          <VRMScene vrm={vrm} speaking={speaking} />
+          <VRMScene
+            vrm={vrm}
+            speaking={speaking}
+            breathRef={breathRef}
+            emotion={replyEmotion}
+            visemeRef={visemeRef}
+            avatarState={avatarStateName(avatar)}
+            backchannelRef={backchannelRef}
+            reducedMotion={motion.reducedMotion}
+            animatorRef={animatorRef}
+          />
           <OrbitControls enablePan={false} minDistance={0.8} maxDistance={2.5} target={[0, 1.4, 0]} />
         </Canvas>
       </div>
@@ -532,6 +1608,26 @@ const TalkingAvatar = () => {
           <small className="text-muted">No avatar loaded</small>
         )}
       </div>
+
+      {gallery && (
+        <div className="mt-3">
+          <AvatarGallery
+            avatars={gallery.avatars}
+            selectedId={avatarChoice?.id}
+            localName={avatarChoice?.local ? avatarChoice.name : null}
+            busy={loadingAvatar}
+            error={avatarError}
+            onSelect={setAvatarChoice}
+            onFile={chooseLocalAvatar}
+          />
+        </div>
+      )}
+
+      {SHOW_ANIMATION_PREVIEW && (
+        <div className="mt-3">
+          <AnimationPreview vrm={vrm} animatorRef={animatorRef} />
+        </div>
+      )}
     </Card>
   );
 };
@@ -0,0 +1,104 @@
+// src/TranscriptView.js
+import React, { useEffect, useRef, useState } from "react";
+import { Button } from "react-bootstrap";
+
+const timeOf = (at) =>
+  new Date(at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    // older Safari / insecure origins
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    ta.setAttribute("readonly", "");
+    ta.style.position = "fixed";
+    ta.style.opacity = "0";
+    document.body.appendChild(ta);
+    ta.select();
+    const ok = document.execCommand("copy");
+    ta.remove();
+    return ok;
+  }
+}
+
+function Message({ role, text, at, active, streaming }) {
+  const [copied, setCopied] = useState(false);
+  const mine = role === "user";
+
+  const onCopy = async () => {
+    if (await copyText(text)) {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    }
+  };
+
+  return (
+    <div
+      className={`px-3 py-2 rounded mb-2 ${mine ? "ms-auto bg-primary-subtle" : "bg-white border"} ${active ? "border-primary border-2 shadow-sm" : ""}`}
+      style={{ maxWidth: "85%", whiteSpace: "pre-wrap" }}
+      aria-current={active ? "true" : undefined}
+    >
+      <div className="d-flex align-items-center gap-2 small text-muted mb-1">
+        <span className="fw-semibold">{mine ? "You" : "Avatar"}</span>
+        {at && <time dateTime={new Date(at).toISOString()}>{timeOf(at)}</time>}
+        {active && <span className="text-primary">● speaking</span>}
+        {!streaming && (
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 ms-auto small"
+            onClick={onCopy}
+            aria-label={`Copy ${mine ? "your" : "avatar"} message`}
+          >
+            {copied ? "Copied" : "Copy"}
+          </Button>
+        )}
+      </div>
+      {text}
+      {streaming && <span className="ms-1">▌</span>}
+    </div>
+  );
+}
+
+/**
+ * Scrollable transcript of both sides of the conversation.
+ * turns: [{ id, role, text, at }], draft: streaming assistant text (if any),
+ * activeId: assistant turn currently being spoken.
+ */
+export default function TranscriptView({ turns, draft, activeId, height = 260 }) {
+  const boxRef = useRef(null);
+  const stickRef = useRef(true); // follow new messages unless the user scrolled up
+
+  const onScroll = () => {
+    const el = boxRef.current;
+    if (el) stickRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+  };
+
+  useEffect(() => {
+    const el = boxRef.current;
+    if (el && stickRef.current) el.scrollTop = el.scrollHeight;
+  }, [turns.length, draft]);
+
+  return (
+    <div
+      ref={boxRef}
+      onScroll={onScroll}
+      className="p-2 border rounded bg-light d-flex flex-column"
+      style={{ height, overflowY: "auto" }}
+      role="log"
+      aria-live="polite"
+      aria-label="Conversation transcript"
+    >
+      {turns.length === 0 && !draft && (
+        <div className="small text-muted m-auto">Your conversation will appear here.</div>
+      )}
+      {turns.map((t) => (
+        <Message key={t.id} role={t.role} text={t.text} at={t.at} active={t.id === activeId} />
+      ))}
+      {!!draft && <Message role="assistant" text={draft} active streaming />}
+    </div>
+  );
+}
@@ -4,6 +4,10 @@ import * as THREE from "three";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, Environment, ContactShadows } from "@react-three/drei";
 import { VRM, VRMUtils, VRMExpressionPresetName } from "three-vrm";
+import { assessRisk } from "./crisisDetector";
+import { useCrisis } from "./CrisisResourcesPanel";
+import { useQuickExitCleanup } from "./quickExit";
+import { dominantViseme } from "./lipSync";
 
 // ---- feature detection ----
 const hasTTS = typeof window !== "undefined" && "speechSynthesis" in window;
@@ -17,17 +21,17 @@ function cx(...xs) {
   return xs.filter(Boolean).join(" ");
 }
 
-// Map vowels → VRM expression preset
+// Strongest viseme of the word (g2p → phonemes → viseme) → VRM expression preset
+const VISEME_PRESETS = {
+  aa: VRMExpressionPresetName.Aa,
+  ih: VRMExpressionPresetName.I,
+  ou: VRMExpressionPresetName.U,
+  ee: VRMExpressionPresetName.E,
+  oh: VRMExpressionPresetName.O,
+};
 function pickExpressionFromWord(word) {
   if (!word) return VRMExpressionPresetName.Aa;
-  const w = word.toLowerCase().replace(/[^a-z]/g, "");
-  // rough vowel priority
-  if (/[oɔɒ]/.test(w) || /o/.test(w)) return VRMExpressionPresetName.O;
-  if (/[eɛ]/.test(w) || /e/.test(w)) return VRMExpressionPresetName.E;
-  if (/[iɪy]/.test(w) || /i/.test(w)) return VRMExpressionPresetName.I;
-  if (/[uʊw]/.test(w) || /u/.test(w)) return VRMExpressionPresetName.U;
-  // default open/jaw for 'a' or anything else
-  return VRMExpressionPresetName.Aa;
+  return VISEME_PRESETS[dominantViseme(word)];
 }
 
 // ---------------- TTS hook (browser-native) ----------------
@@ -156,7 +160,17 @@ function useSTT({ enabled, onFinal, onInterim }) {
     return () => { try { rec.stop(); } catch {}; recRef.current = null; };
   }, [supported, enabled, onFinal, onInterim]);
 
-  return { supported, listening };
+  // Drop the current recognition without delivering a final result
+  const abort = () => {
+    const rec = recRef.current;
+    recRef.current = null;
+    if (!rec) return;
+    rec.onresult = rec.onend = rec.onerror = null;
+    try { rec.abort(); } catch {}
+    setListening(false);
+  };
+
+  return { supported, listening, abort };
 }
 
 // ---------------- VRM Loader ----------------
@@ -253,6 +267,7 @@ export default function VRMAvatarApp() {
   const [finalText, setFinalText] = useState("");
   const [log, setLog] = useState([]);
   const expressionDrive = useRef({ name: null, weight: 0 });
+  const { reportRisk } = useCrisis();
 
   const { speaking, speak, cancel, prewarm } = useTTS({
     onWord: (word) => {
@@ -262,10 +277,11 @@ export default function VRMAvatarApp() {
     },
   });
 
-  const { supported: sttSupported, listening } = useSTT({
+  const { supported: sttSupported, listening, abort: abortSTT } = useSTT({
     enabled: sttOn,
     onInterim: setInterim,
     onFinal: (t) => {
+      reportRisk(assessRisk(t).level);
       setInterim("");
       setFinalText(t);
       setLog((L) => [...L, { role: "you", text: t }]);
@@ -295,6 +311,16 @@ export default function VRMAvatarApp() {
     setSttOn(true); // auto start STT; toggle off if you want manual control
   };
 
+  useQuickExitCleanup(() => {
+    abortSTT();
+    setSttOn(false);
+    cancel();
+    setRunning(false);
+    setInterim("");
+    setFinalText("");
+    setLog([]);
+  });
+
   const endAll = () => {
     setSttOn(false);
     cancel();
@@ -0,0 +1,116 @@
+// src/audioLipSync.js
+// Mouth shapes from the actual speech signal. Audio (an <audio> element or any
+// WebAudio node) is routed through an AnalyserNode; loudness opens the mouth and
+// the balance of three spectral bands picks the shape (energy low in the
+// spectrum → rounded oh/ou, mid → open aa, high → spread ee/ih). Same
+// sample() → { aa, ih, ou, ee, oh } interface as VisemeTrack in lipSync.js.
+
+const GATE_RMS = 0.01;   // below this the mouth rests
+const FULL_RMS = 0.18;   // at/above this the mouth is fully open
+const ATTACK_SECS = 0.03;
+const RELEASE_SECS = 0.09;
+
+// Hz ranges roughly following the first two vowel formants
+const BANDS = { low: [150, 700], mid: [700, 1600], high: [1600, 4000] };
+
+let sharedCtx = null;
+export function getAudioContext() {
+  if (!sharedCtx) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    sharedCtx = new Ctx();
+  }
+  if (sharedCtx.state === "suspended") sharedCtx.resume().catch(() => {});
+  return sharedCtx;
+}
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+/**
+ * rms: time-domain RMS (0…1); bands: { low, mid, high } mean magnitudes (0…1).
+ * Returns target viseme weights before smoothing.
+ */
+export function visemesFromFeatures({ rms, bands }) {
+  const out = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+  const open = clamp01((rms - GATE_RMS) / (FULL_RMS - GATE_RMS));
+  if (!open) return out;
+  const total = bands.low + bands.mid + bands.high || 1;
+  const low = bands.low / total;
+  const mid = bands.mid / total;
+  const high = bands.high / total;
+  out.aa = open * clamp01(mid * 1.6);
+  out.oh = open * clamp01(low * 1.2 - high);
+  out.ou = open * clamp01(low - mid) * 0.8;
+  out.ee = open * clamp01(high * 1.8);
+  out.ih = open * clamp01(high - mid * 0.5) * 0.7;
+  // quiet consonant-ish frames still show some jaw movement
+  if (out.aa + out.oh + out.ou + out.ee + out.ih < open * 0.3) out.aa = open * 0.3;
+  return out;
+}
+
+export class AudioLipSync {
+  constructor(ctx = getAudioContext()) {
+    this.ctx = ctx;
+    this.analyser = ctx.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.analyser.smoothingTimeConstant = 0.3;
+    this.analyser.connect(ctx.destination);
+    this.time = new Float32Array(this.analyser.fftSize);
+    this.freq = new Float32Array(this.analyser.frequencyBinCount);
+    this.weights = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+    this.lastAt = 0;
+    this.sources = [];
+  }
+
+  // <audio>/<video> element: its sound now plays through the analyser
+  attachElement(el) {
+    const src = this.ctx.createMediaElementSource(el);
+    src.connect(this.analyser);
+    this.sources.push(src);
+    return src;
+  }
+
+  // Any WebAudio node (e.g. an AudioBufferSourceNode from neural TTS)
+  attachNode(node) {
+    node.connect(this.analyser);
+    this.sources.push(node);
+    return node;
+  }
+
+  detach() {
+    this.sources.forEach((s) => { try { s.disconnect(); } catch {} });
+    this.sources = [];
+    try { this.analyser.disconnect(); } catch {}
+  }
+
+  features() {
+    this.analyser.getFloatTimeDomainData(this.time);
+    let sum = 0;
+    for (let i = 0; i < this.time.length; i++) sum += this.time[i] * this.time[i];
+    const rms = Math.sqrt(sum / this.time.length);
+
+    this.analyser.getFloatFrequencyData(this.freq); // dB
+    const hzPerBin = this.ctx.sampleRate / this.analyser.fftSize;
+    const bands = {};
+    Object.entries(BANDS).forEach(([name, [lo, hi]]) => {
+      const a = Math.floor(lo / hzPerBin);
+      const b = Math.min(this.freq.length - 1, Math.ceil(hi / hzPerBin));
+      let acc = 0;
+      for (let i = a; i <= b; i++) acc += Math.pow(10, this.freq[i] / 20);
+      bands[name] = acc / (b - a + 1);
+    });
+    return { rms, bands };
+  }
+
+  /** Smoothed viseme weights (fast attack, slower release). */
+  sample(now = performance.now()) {
+    const dt = this.lastAt ? Math.min(0.1, (now - this.lastAt) / 1000) : 1 / 60;
+    this.lastAt = now;
+    const target = visemesFromFeatures(this.features());
+    Object.keys(this.weights).forEach((v) => {
+      const cur = this.weights[v];
+      const tau = target[v] > cur ? ATTACK_SECS : RELEASE_SECS;
+      this.weights[v] = cur + (target[v] - cur) * (1 - Math.exp(-dt / tau));
+    });
+    return { ...this.weights };
+  }
+}
@@ -0,0 +1,48 @@
+import { AudioLipSync, visemesFromFeatures } from "./audioLipSync";
+
+const top = (w) => Object.entries(w).sort((a, b) => b[1] - a[1])[0][0];
+
+// Analyser stand-in: a constant-amplitude signal and one loud frequency region
+function fakeContext({ amplitude, peakHz }) {
+  const sampleRate = 16000;
+  const analyser = {
+    fftSize: 1024,
+    frequencyBinCount: 512,
+    connect() {},
+    disconnect() {},
+    getFloatTimeDomainData: (buf) => buf.fill(amplitude),
+    getFloatFrequencyData: (buf) => {
+      const hzPerBin = sampleRate / analyser.fftSize;
+      for (let i = 0; i < buf.length; i++) buf[i] = Math.abs(i * hzPerBin - peakHz) < 200 ? -10 : -90;
+    },
+  };
+  return { sampleRate, destination: {}, createAnalyser: () => analyser };
+}
+
+test("silence keeps the mouth closed; loudness opens it", () => {
+  const bands = { low: 0.2, mid: 0.5, high: 0.1 };
+  expect(Object.values(visemesFromFeatures({ rms: 0.005, bands })).every((v) => v === 0)).toBe(true);
+  const half = visemesFromFeatures({ rms: 0.095, bands });
+  const full = visemesFromFeatures({ rms: 0.3, bands });
+  expect(full.aa).toBeGreaterThan(half.aa);
+  expect(full.aa).toBeLessThanOrEqual(1);
+});
+
+test("the spectral balance picks the mouth shape", () => {
+  expect(top(visemesFromFeatures({ rms: 0.2, bands: { low: 0.1, mid: 0.8, high: 0.1 } }))).toBe("aa");
+  expect(top(visemesFromFeatures({ rms: 0.2, bands: { low: 0.8, mid: 0.1, high: 0.05 } }))).toBe("oh");
+  expect(top(visemesFromFeatures({ rms: 0.2, bands: { low: 0.05, mid: 0.1, high: 0.8 } }))).toBe("ee");
+});
+
+test("analyser readings become smoothed visemes", () => {
+  const sync = new AudioLipSync(fakeContext({ amplitude: 0.2, peakHz: 1100 }));
+  expect(sync.features().rms).toBeCloseTo(0.2);
+  const first = sync.sample(0);
+  let w = first;
+  for (let t = 16; t <= 320; t += 16) w = sync.sample(t);
+  expect(top(w)).toBe("aa");
+  expect(w.aa).toBeGreaterThan(first.aa);
+
+  const quiet = new AudioLipSync(fakeContext({ amplitude: 0, peakHz: 1100 }));
+  expect(Object.values(quiet.sample(0)).every((v) => v === 0)).toBe(true);
+});
@@ -0,0 +1,175 @@
+// src/avatarAnimation.js
+// Authored body animation for the avatar: VRM Animation (.vrma) files and plain
+// glTF/GLB clips, played by one THREE.AnimationMixer per avatar with cross-fades.
+// The scene keeps blink, lip-sync, expressions and look-at on top of whatever
+// the clips do.
+//
+// Clips are listed in public/animations/manifest.json, so new motion needs no code:
+//   { "clips": [
+//       { "name": "idle", "url": "/animations/idle.vrma" },
+//       { "name": "greeting", "url": "/animations/wave.vrma", "once": true },
+//       { "name": "comfort", "url": "/animations/comfort.glb", "clip": "Comfort", "once": true },
+//       { "name": "thinking", "url": "/animations/Thinking.fbx" }
+//   ] }
+// Looping clips named after an avatar state (idle, listening, thinking, speaking,
+// error, crisis) play in that state, falling back to "idle"; "greeting" plays when
+// the avatar appears and "comfort" when the reply turns sad or risk turns high.
+// glTF tracks may target VRM humanoid bone names (e.g. "leftUpperArm.quaternion");
+// .fbx files are taken to be Mixamo exports and retargeted (mixamoRetarget.js).
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { VRMHumanBoneList } from "@pixiv/three-vrm";
+import { VRMAnimationLoaderPlugin, createVRMAnimationClip } from "@pixiv/three-vrm-animation";
+import { loadMixamoClip } from "./mixamoRetarget";
+
+export const ANIMATION_MANIFEST_URL = process.env.REACT_APP_ANIMATION_MANIFEST || "/animations/manifest.json";
+
+/** [{ name, url, clip?, once? }] – empty if there is no (valid) manifest. */
+export async function loadAnimationManifest(url = ANIMATION_MANIFEST_URL) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return [];
+    const j = await res.json();
+    return (Array.isArray(j?.clips) ? j.clips : []).filter((c) => c && typeof c.name === "string" && typeof c.url === "string");
+  } catch {
+    return []; // includes CRA's index.html fallback for a missing file
+  }
+}
+
+// glTF tracks addressed by humanoid bone name → this avatar's normalized bone nodes
+function bindToHumanoid(clip, vrm) {
+  const tracks = clip.tracks.map((track) => {
+    const dot = track.name.indexOf(".");
+    const target = track.name.slice(0, dot);
+    if (!VRMHumanBoneList.includes(target)) return track;
+    const node = vrm.humanoid?.getNormalizedBoneNode(target);
+    if (!node) return null;
+    const t = track.clone();
+    t.name = `${node.name}${track.name.slice(dot)}`;
+    return t;
+  });
+  return new THREE.AnimationClip(clip.name, clip.duration, tracks.filter(Boolean));
+}
+
+/**
+ * Load one clip for `vrm`: .vrma, Mixamo .fbx, or a named/first animation in a
+ * glTF/GLB file. `type` ("vrma" | "fbx" | "gltf") is needed for object URLs.
+ */
+export async function loadAnimationClip({ url, clip: clipName, name, type }, vrm) {
+  if (type === "fbx" || (!type && /\.fbx($|\?)/i.test(url))) return loadMixamoClip(url, vrm, name);
+  const loader = new GLTFLoader();
+  loader.register((parser) => new VRMAnimationLoaderPlugin(parser));
+  const gltf = await loader.loadAsync(url);
+  const vrmAnimation = gltf.userData.vrmAnimations?.[0];
+  if (vrmAnimation) return createVRMAnimationClip(vrmAnimation, vrm);
+  const clips = gltf.animations || [];
+  const clip = clipName ? clips.find((c) => c.name === clipName) : clips[0];
+  if (!clip) throw new Error(`${url} has no animation${clipName ? ` named "${clipName}"` : ""}`);
+  return bindToHumanoid(clip, vrm);
+}
+
+export class AvatarAnimator {
+  constructor(vrm, { fadeSecs = 0.4 } = {}) {
+    this.vrm = vrm;
+    this.fadeSecs = fadeSecs;
+    this.mixer = new THREE.AnimationMixer(vrm.scene);
+    this.actions = new Map();   // name -> { action, once }
+    this.base = null;           // looping clip for the current state
+    this.current = null;        // action playing now (base or a one-shot)
+    this.previewing = null;     // clip held by the preview UI (overrides everything)
+    this.onFinished = (e) => {
+      if (e.action === this.current?.action && this.current.once) this._fadeTo(this.base);
+    };
+    this.mixer.addEventListener("finished", this.onFinished);
+  }
+
+  add(name, clip, { once = false } = {}) {
+    const action = this.mixer.clipAction(clip);
+    if (once) {
+      action.setLoop(THREE.LoopOnce, 1);
+      action.clampWhenFinished = true;
+    }
+    this.actions.set(name, { name, action, once });
+  }
+
+  has(name) {
+    return this.actions.has(name);
+  }
+
+  // Any clip driving the body right now (the scene skips its procedural base pose)
+  get active() {
+    return !!this.current;
+  }
+
+  _fadeTo(entry) {
+    const prev = this.current;
+    if (prev === entry) return;
+    if (entry) {
+      entry.action.reset().setEffectiveWeight(1).fadeIn(this.fadeSecs).play();
+      if (prev) prev.action.crossFadeTo(entry.action, this.fadeSecs, false);
+    } else if (prev) {
+      prev.action.fadeOut(this.fadeSecs);
+      this.vrm.humanoid?.resetNormalizedPose();
+    }
+    this.current = entry || null;
+  }
+
+  /** Looping clip for an avatar state ("idle" if there's none for it). */
+  setBase(state) {
+    const entry = this.actions.get(state) || this.actions.get("idle") || null;
+    this.base = entry && !entry.once ? entry : null;
+    if (!this.current?.once && !this.previewing) this._fadeTo(this.base);
+  }
+
+  /** One-shot gesture; returns to the base loop when it ends. */
+  playOnce(name) {
+    const entry = this.actions.get(name);
+    if (!entry || this.previewing) return false;
+    if (this.current === entry) entry.action.reset();
+    this._fadeTo(entry);
+    return true;
+  }
+
+  // ---------- preview (AnimationPreview.js) ----------
+  // Take over the body with `clip`, looping; seek() scrubs, setPaused() holds a frame
+  preview(clip) {
+    this.endPreview();
+    const action = this.mixer.clipAction(clip);
+    this.previewing = { name: "preview", action, once: false, clip };
+    this._fadeTo(this.previewing);
+  }
+
+  get previewTime() {
+    return this.previewing?.action.time ?? 0;
+  }
+
+  seek(t) {
+    if (!this.previewing) return;
+    this.previewing.action.time = Math.max(0, Math.min(t, this.previewing.clip.duration));
+  }
+
+  setPaused(paused) {
+    if (this.previewing) this.previewing.action.paused = paused;
+  }
+
+  endPreview() {
+    const p = this.previewing;
+    if (!p) return;
+    this.previewing = null;
+    this._fadeTo(this.base);
+    p.action.stop();
+    this.mixer.uncacheAction(p.clip);
+    this.mixer.uncacheClip(p.clip);
+  }
+
+  update(delta) {
+    this.mixer.update(delta);
+  }
+
+  dispose() {
+    this.mixer.removeEventListener("finished", this.onFinished);
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.vrm.scene);
+    this.vrm.humanoid?.resetNormalizedPose();
+  }
+}
@@ -0,0 +1,93 @@
+// src/avatarCatalog.js
+// Which avatar to show: the bundled gallery listed in public/avatars/manifest.json,
+// or the user's own .vrm file (read straight from disk through an object URL,
+// never uploaded). The last bundled pick is remembered; a local file only lasts
+// for the page, since its object URL does.
+//
+//   { "default": "calm-guide",
+//     "avatars": [
+//       { "id": "calm-guide", "name": "Calm guide", "url": "/avatars/calm.vrm", "thumbnail": "/avatars/calm.png" }
+//   ] }
+//
+// Avatar files aren't checked in: put the .vrm (and an optional square thumbnail)
+// under public/avatars/ and list it here. Entries without a thumbnail, or whose
+// image fails to load, get a lettered placeholder; an empty manifest falls back
+// to DEFAULT_AVATAR.
+
+export const AVATAR_MANIFEST_URL = process.env.REACT_APP_AVATAR_MANIFEST || "/avatars/manifest.json";
+export const DEFAULT_AVATAR = { id: "default", name: "Default avatar", url: "/avatars/4876888923308523849.vrm" };
+export const MAX_VRM_BYTES = 100 * 1024 * 1024;
+
+const CHOICE_KEY = "avatarChoice";
+
+// Keep well-formed entries only; an empty or broken manifest still leaves the default avatar
+export function normalizeAvatarManifest(j) {
+  const avatars = (Array.isArray(j?.avatars) ? j.avatars : [])
+    .filter((a) => a && typeof a.id === "string" && typeof a.url === "string")
+    .map((a) => ({
+      id: a.id,
+      name: typeof a.name === "string" && a.name ? a.name : a.id,
+      url: a.url,
+      thumbnail: typeof a.thumbnail === "string" ? a.thumbnail : null,
+    }));
+  if (!avatars.length) return { avatars: [DEFAULT_AVATAR], defaultId: DEFAULT_AVATAR.id };
+  const defaultId = avatars.some((a) => a.id === j.default) ? j.default : avatars[0].id;
+  return { avatars, defaultId };
+}
+
+export async function loadAvatarManifest(url = AVATAR_MANIFEST_URL) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return normalizeAvatarManifest(null);
+    return normalizeAvatarManifest(await res.json());
+  } catch {
+    return normalizeAvatarManifest(null); // includes CRA's index.html fallback for a missing file
+  }
+}
+
+export const pickAvatar = ({ avatars, defaultId }, id) =>
+  avatars.find((a) => a.id === id) || avatars.find((a) => a.id === defaultId) || avatars[0];
+
+export function loadAvatarChoice() {
+  try { return localStorage.getItem(CHOICE_KEY); } catch { return null; }
+}
+
+export function saveAvatarChoice(id) {
+  try { localStorage.setItem(CHOICE_KEY, id); } catch {}
+}
+
+// A .vrm is a binary glTF: "glTF" magic, then container version 2
+export function checkVrmHeader(bytes) {
+  const magic = String.fromCharCode(...bytes.slice(0, 4));
+  if (magic !== "glTF") return "That file isn't a VRM avatar. Choose a .vrm file exported from VRoid Studio, UniVRM or similar.";
+  const version = bytes[4] | (bytes[5] << 8) | (bytes[6] << 16) | (bytes[7] << 24);
+  if (version !== 2) return "That file uses an old 3D format this page can't read. Re-export it as VRM.";
+  return null;
+}
+
+/** Quick checks before parsing a local file; resolves to a friendly message, or null if it's worth loading. */
+export async function validateVrmFile(file) {
+  if (!file) return "No file was selected.";
+  if (!/\.vrm$/i.test(file.name)) return `"${file.name}" isn't a .vrm file. Avatars need to be in VRM format.`;
+  if (!file.size) return "That file is empty.";
+  if (file.size > MAX_VRM_BYTES) {
+    return `That avatar is ${Math.round(file.size / 1024 / 1024)} MB; the limit is ${MAX_VRM_BYTES / 1024 / 1024} MB.`;
+  }
+  try {
+    return checkVrmHeader(new Uint8Array(await file.slice(0, 12).arrayBuffer()));
+  } catch {
+    return "That file couldn't be read.";
+  }
+}
+
+// Loader errors → something a person can act on
+export function friendlyAvatarError(err, { local = false } = {}) {
+  const msg = String(err?.message || err || "");
+  if (/does not contain a VRM/i.test(msg)) {
+    return "That file is a 3D model, but not a VRM avatar. Export it as .vrm and try again.";
+  }
+  if (/humanoid/i.test(msg)) return "That avatar has no humanoid skeleton, so it can't move or speak.";
+  if (/version/i.test(msg)) return "That avatar uses a format version this page can't read. Try re-exporting it.";
+  if (!local) return "This avatar isn't available right now. Pick another one.";
+  return "That file couldn't be loaded as an avatar. It may be damaged or in a different format.";
+}
@@ -0,0 +1,31 @@
+import {
+  DEFAULT_AVATAR, checkVrmHeader, friendlyAvatarError, normalizeAvatarManifest, pickAvatar, validateVrmFile,
+} from "./avatarCatalog";
+
+const header = (magic, version) => new Uint8Array([...magic].map((c) => c.charCodeAt(0)).concat([version, 0, 0, 0]));
+
+test("manifest keeps well-formed entries and falls back to the default avatar", () => {
+  const m = normalizeAvatarManifest({
+    default: "b",
+    avatars: [{ id: "a", url: "/avatars/a.vrm" }, { name: "no id" }, { id: "b", name: "Bee", url: "/avatars/b.vrm", thumbnail: "/b.png" }],
+  });
+  expect(m.avatars.map((a) => a.id)).toEqual(["a", "b"]);
+  expect(m.avatars[0]).toEqual({ id: "a", name: "a", url: "/avatars/a.vrm", thumbnail: null });
+  expect(pickAvatar(m, "missing").id).toBe("b");
+  expect(pickAvatar(m, "a").id).toBe("a");
+  expect(normalizeAvatarManifest({ avatars: [] })).toEqual({ avatars: [DEFAULT_AVATAR], defaultId: DEFAULT_AVATAR.id });
+});
+
+test("local files need a .vrm name and a glTF 2 header", async () => {
+  expect(await validateVrmFile({ name: "me.png", size: 10 })).toMatch(/isn't a \.vrm file/);
+  expect(await validateVrmFile({ name: "me.vrm", size: 0 })).toMatch(/empty/);
+  expect(checkVrmHeader(header("glTF", 2))).toBeNull();
+  expect(checkVrmHeader(header("glTF", 1))).toMatch(/old 3D format/);
+  expect(checkVrmHeader(header("PK\u0003\u0004", 2))).toMatch(/isn't a VRM avatar/);
+});
+
+test("loader errors become friendly messages", () => {
+  expect(friendlyAvatarError(new Error("Loaded GLTF does not contain a VRM model."), { local: true })).toMatch(/not a VRM avatar/);
+  expect(friendlyAvatarError(new Error("Unexpected token '<'"))).toMatch(/isn't available/);
+  expect(friendlyAvatarError(new Error("Unexpected token '<'"), { local: true })).toMatch(/damaged/);
+});
@@ -0,0 +1,104 @@
+// src/avatarState.js
+// Conversational state for the avatar's body language:
+//   idle → listening → thinking → speaking → listening …
+// plus two overlays: "error" (something failed; cleared by the next turn or a
+// timeout) and "crisis" (high risk detected; calm, steady, no big gestures).
+// Events come from the STT (listen_start/listen_stop), the network
+// (request_start/request_end/error) and TTS (speak_start/speak_end).
+
+export const AVATAR_STATES = ["idle", "listening", "thinking", "speaking", "error", "crisis"];
+
+// mic: STT is running; pending: a request is in flight (a streamed reply can
+// pause between sentences while more is on the way)
+export const initialAvatarState = { phase: "idle", mic: false, pending: false, error: false, crisis: false };
+
+const restPhase = (s) => (s.mic ? "listening" : "idle");
+
+export function avatarReducer(s, event) {
+  switch (event.type) {
+    case "listen_start":
+      return { ...s, mic: true, phase: s.phase === "idle" ? "listening" : s.phase };
+    case "listen_stop":
+      return { ...s, mic: false, phase: s.phase === "listening" ? "idle" : s.phase };
+    case "request_start":
+      return { ...s, phase: "thinking", pending: true, error: false };
+    case "request_end":
+      return { ...s, pending: false, phase: s.phase === "thinking" ? restPhase(s) : s.phase };
+    case "speak_start":
+      return { ...s, phase: "speaking", error: false };
+    case "speak_end":
+      return s.phase === "speaking" ? { ...s, phase: s.pending ? "thinking" : restPhase(s) } : s;
+    case "error":
+      return { ...s, error: true, phase: s.phase === "thinking" ? restPhase(s) : s.phase };
+    case "clear_error":
+      return { ...s, error: false };
+    case "crisis":
+      return s.crisis === !!event.active ? s : { ...s, crisis: !!event.active };
+    case "reset":
+      return { ...initialAvatarState, crisis: s.crisis };
+    default:
+      return s;
+  }
+}
+
+/** The one state that drives the pose: error > crisis > phase. */
+export const avatarStateName = (s) => (s.error ? "error" : s.crisis ? "crisis" : s.phase);
+
+// ---------- body language ----------
+// lean: spine pitch forward (rad); tilt: head roll; gaze: 0…1 looking away (up and
+// to one side); shrug: shoulders up; sway: idle motion scale; gestures: arm
+// gestures while speaking (0/1); nodEvery: seconds between listening nods (0 = none)
+export const STATE_POSES = {
+  idle:      { lean: 0,     tilt: 0,     gaze: 0,   shrug: 0,   sway: 1,   gestures: 0, nodEvery: 0 },
+  listening: { lean: 0.06,  tilt: 0.05,  gaze: 0,   shrug: 0,   sway: 0.6, gestures: 0, nodEvery: 3.2 },
+  thinking:  { lean: -0.02, tilt: 0.07,  gaze: 1,   shrug: 0,   sway: 0.5, gestures: 0, nodEvery: 0 },
+  speaking:  { lean: 0.02,  tilt: 0,     gaze: 0,   shrug: 0,   sway: 1,   gestures: 1, nodEvery: 0 },
+  error:     { lean: -0.01, tilt: -0.09, gaze: 0.3, shrug: 1,   sway: 0.6, gestures: 0, nodEvery: 0 },
+  crisis:    { lean: 0.05,  tilt: 0,     gaze: 0,   shrug: 0,   sway: 0.3, gestures: 0, nodEvery: 5 },
+};
+
+const EASED = ["lean", "tilt", "gaze", "shrug", "sway", "gestures"];
+
+export class BodyLanguage {
+  constructor({ easeSecs = 0.5 } = {}) {
+    this.easeSecs = easeSecs;
+    this.state = "idle";
+    this.pose = { ...STATE_POSES.idle };
+    this.side = 1;                               // which way thinking gaze goes
+    this.nodState = { t: 0, dur: 0, amount: 0, next: 1.5 };
+    this.nodPitch = 0;
+  }
+
+  setState(name) {
+    if (!STATE_POSES[name] || name === this.state) return;
+    if (name === "thinking") this.side = Math.random() < 0.5 ? -1 : 1;
+    this.state = name;
+    this.nodState.next = 0.6 + Math.random() * 0.8; // first nod soon after arriving
+  }
+
+  // One head nod (amount in rad); listening/crisis nods call this on their own
+  nod(amount = 0.08, dur = 0.6) {
+    if (this.nodState.dur) return;
+    Object.assign(this.nodState, { t: 0, dur, amount });
+  }
+
+  update(delta) {
+    const goal = STATE_POSES[this.state];
+    const k = 1 - Math.exp(-delta / this.easeSecs);
+    EASED.forEach((key) => { this.pose[key] += (goal[key] - this.pose[key]) * k; });
+
+    const n = this.nodState;
+    if (n.dur) {
+      n.t += delta;
+      if (n.t >= n.dur) n.dur = 0;
+    } else if (goal.nodEvery) {
+      n.next -= delta;
+      if (n.next <= 0) {
+        this.nod(this.state === "crisis" ? 0.05 : 0.08, this.state === "crisis" ? 0.9 : 0.6);
+        n.next = goal.nodEvery * (0.7 + Math.random() * 0.6);
+      }
+    }
+    this.nodPitch = n.dur ? n.amount * Math.sin(Math.PI * Math.min(1, n.t / n.dur)) : 0;
+    return this.pose;
+  }
+}
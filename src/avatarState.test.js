@@ -0,0 +1,29 @@
+import { avatarReducer, avatarStateName, initialAvatarState } from "./avatarState";
+
+const run = (...events) => events.reduce(avatarReducer, initialAvatarState);
+
+test("a voice turn goes listening → thinking → speaking → listening", () => {
+  const names = [];
+  [{ type: "listen_start" }, { type: "request_start" }, { type: "request_end" }, { type: "speak_start" }, { type: "speak_end" }]
+    .reduce((s, e) => { const next = avatarReducer(s, e); names.push(avatarStateName(next)); return next; }, initialAvatarState);
+  expect(names).toEqual(["listening", "thinking", "listening", "speaking", "listening"]);
+  expect(avatarStateName(run({ type: "request_start" }, { type: "request_end" }))).toBe("idle");
+});
+
+test("the mic coming back doesn't interrupt thinking or speaking", () => {
+  expect(run({ type: "request_start" }, { type: "listen_start" }).phase).toBe("thinking");
+  expect(run({ type: "speak_start" }, { type: "listen_stop" }, { type: "listen_start" }).phase).toBe("speaking");
+  // a streamed reply that runs out of sentences goes back to thinking
+  expect(run({ type: "request_start" }, { type: "speak_start" }, { type: "speak_end" }).phase).toBe("thinking");
+});
+
+test("error and crisis overlay the phase until cleared", () => {
+  const failed = run({ type: "listen_start" }, { type: "request_start" }, { type: "error" });
+  expect(avatarStateName(failed)).toBe("error");
+  expect(failed.phase).toBe("listening");
+  expect(avatarStateName(avatarReducer(failed, { type: "request_start" }))).toBe("thinking");
+
+  const crisis = run({ type: "crisis", active: true }, { type: "speak_start" });
+  expect(avatarStateName(crisis)).toBe("crisis");
+  expect(avatarStateName(avatarReducer(crisis, { type: "crisis", active: false }))).toBe("speaking");
+});
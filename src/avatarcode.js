@@ -2,6 +2,9 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Environment, ContactShadows } from "@react-three/drei";
+import { assessRisk } from "./crisisDetector";
+import { useCrisis } from "./CrisisResourcesPanel";
+import { useQuickExitCleanup } from "./quickExit";
 
 /**
  * Realtime Voice Chat (Frontend-only)
@@ -285,11 +288,24 @@ function useSTT({ enabled, onFinal, onInterim }) {
     } catch {}
   };
 
-  return { supported, listening, stop };
+  // Drop the current recognition without delivering a final result
+  const abort = () => {
+    const rec = recRef.current;
+    recRef.current = null;
+    if (!rec) return;
+    rec.onresult = null;
+    rec.onend = null;
+    rec.onerror = null;
+    try { rec.abort(); } catch {}
+    setListening(false);
+  };
+
+  return { supported, listening, stop, abort };
 }
 
 /* -------------------------- Simulated RAG -------------------------- */
 function useSimulatedRag({ onToken, onDone }) {
+  const timerRef = useRef(null);
   const respond = (prompt) => {
     const base = `You said: "${prompt}". Here's a simulated helpful response streaming live. This would normally come from your RAG backend via SSE.`;
     const words = base.split(" ");
@@ -303,8 +319,10 @@ function useSimulatedRag({ onToken, onDone }) {
         onDone && onDone();
       }
     }, 45);
+    timerRef.current = id;
   };
-  return { respond };
+  const stop = () => clearInterval(timerRef.current);
+  return { respond, stop };
 }
 
 /* ------------------------------- UI ------------------------------- */
@@ -315,6 +333,7 @@ export default function VoiceAvatarApp() {
   const [inputFinal, setInputFinal] = useState("");
   const [chat, setChat] = useState([]); // {role: 'user'|'assistant', text}
   const [mouthOpen, setMouthOpen] = useState(0);
+  const { reportRisk } = useCrisis();
 
   // TTS
   const { enqueueChunked, cancel, speaking, prewarm } = useTTS({
@@ -326,10 +345,11 @@ export default function VoiceAvatarApp() {
   });
 
   // STT
-  const { supported: sttSupported, listening, stop: stopSTT } = useSTT({
+  const { supported: sttSupported, listening, stop: stopSTT, abort: abortSTT } = useSTT({
     enabled: sttEnabled,
     onInterim: setInterim,
     onFinal: (text) => {
+      reportRisk(assessRisk(text).level);
       setInterim("");
       setInputFinal(text);
       setChat((c) => [...c, { role: "user", text }]);
@@ -339,7 +359,7 @@ export default function VoiceAvatarApp() {
 
   // Simulated streaming response
   const [assistantBuffer, setAssistantBuffer] = useState("");
-  const { respond } = useSimulatedRag({
+  const { respond, stop: stopRag } = useSimulatedRag({
     onToken: (tok) => setAssistantBuffer((s) => s + tok),
     onDone: () => {
       const finalText = assistantBuffer;
@@ -372,6 +392,18 @@ export default function VoiceAvatarApp() {
     setRunning(true);
   };
 
+  useQuickExitCleanup(() => {
+    abortSTT();
+    setSttEnabled(false);
+    stopRag();
+    cancel();
+    setRunning(false);
+    setInterim("");
+    setInputFinal("");
+    setChat([]);
+    setAssistantBuffer("");
+  });
+
   const endAll = () => {
     setSttEnabled(false);
     stopSTT();
@@ -0,0 +1,114 @@
+// src/backchannel.js
+// Active-listening cues from the live STT stream: a small nod at phrase
+// boundaries (punctuation, or every few words), a brief eyebrow raise on
+// emphatic words and questions, a blink when the user pauses, and a soft
+// "relaxed" face while they talk. The scene polls update() every frame.
+// With reduced motion there are no nods or brow raises; blinks and the
+// expression stay (scaled by intensity like everything else).
+
+const PAUSE_MS = 450;         // silence after words that counts as a pause
+const DISENGAGE_MS = 2500;    // stop looking engaged after this much silence
+const NOD_GAP_MS = 1400;
+const BROW_GAP_MS = 3000;
+const WORDS_PER_NOD = 6;
+const EMPHASIS_RE = /\b(really|so|never|always|actually|but|everything|nothing|nobody|anymore|can'?t|won'?t|hate|love|scared|afraid|alone)\b/i;
+
+const SETTINGS_KEY = "avatar-backchannel";
+
+const prefersReducedMotion = () =>
+  typeof window !== "undefined" && !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+
+export function loadBackchannelSettings() {
+  const defaults = { intensity: 0.7, reducedMotion: prefersReducedMotion() };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    if (saved) return { ...defaults, ...saved };
+  } catch {}
+  return defaults;
+}
+
+export function saveBackchannelSettings(settings) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); } catch {}
+}
+
+const wordsOf = (text) => String(text || "").match(/[A-Za-z0-9'’]+/g) || [];
+
+export class Backchannel {
+  constructor({ intensity = 0.7, reducedMotion = false } = {}) {
+    this.configure({ intensity, reducedMotion });
+    this.cues = [];
+    this.seg = { words: 0, marks: 0 };   // words / punctuation seen in the current STT segment
+    this.sinceNod = 0;                   // words heard since the last nod
+    this.lastHeardAt = -Infinity;
+    this.lastNodAt = -Infinity;
+    this.lastBrowAt = -Infinity;
+    this.paused = true;
+    this.engaged = 0;
+    this.lastUpdate = 0;
+  }
+
+  configure({ intensity, reducedMotion }) {
+    if (intensity != null) this.intensity = Math.max(0, Math.min(1, intensity));
+    if (reducedMotion != null) this.reducedMotion = !!reducedMotion;
+  }
+
+  _cue(type, now) {
+    if (!this.intensity) return;
+    if (this.reducedMotion && (type === "nod" || type === "brow")) return;
+    if (type === "nod") {
+      if (now - this.lastNodAt < NOD_GAP_MS) return;
+      this.lastNodAt = now;
+      this.sinceNod = 0;
+    }
+    if (type === "brow") {
+      if (now - this.lastBrowAt < BROW_GAP_MS) return;
+      this.lastBrowAt = now;
+    }
+    this.cues.push({ type, strength: this.intensity });
+  }
+
+  /** Interim (or, with final: true, finalized) STT text for the current segment. */
+  hear(text, { final = false, now = performance.now() } = {}) {
+    const words = wordsOf(text);
+    const marks = (String(text).match(/[,.;!?]/g) || []).length;
+    if (words.length > this.seg.words) {
+      const fresh = words.slice(this.seg.words);
+      this.sinceNod += fresh.length;
+      this.lastHeardAt = now;
+      this.paused = false;
+      if (fresh.some((w) => EMPHASIS_RE.test(w))) this._cue("brow", now);
+    }
+    if (marks > this.seg.marks) {
+      if (/\?\s*$/.test(text)) this._cue("brow", now);
+      this._cue("nod", now);
+    } else if (this.sinceNod >= WORDS_PER_NOD) {
+      this._cue("nod", now);
+    }
+    this.seg = final ? { words: 0, marks: 0 } : { words: Math.max(this.seg.words, words.length), marks };
+  }
+
+  // The user's turn is over (sent, or the mic stopped)
+  reset() {
+    this.seg = { words: 0, marks: 0 };
+    this.sinceNod = 0;
+    this.paused = true;
+    this.lastHeardAt = -Infinity;
+  }
+
+  /** Cues since the last call, and how engaged the face should look (0…1). */
+  update(now = performance.now()) {
+    const quiet = now - this.lastHeardAt;
+    if (!this.paused && quiet > PAUSE_MS) {
+      this.paused = true;
+      this._cue("blink", now);
+      if (this.sinceNod >= 3) this._cue("nod", now);
+    }
+    const goal = quiet < DISENGAGE_MS ? this.intensity : 0;
+    const dt = this.lastUpdate ? now - this.lastUpdate : 16;
+    this.lastUpdate = now;
+    this.engaged += (goal - this.engaged) * (1 - Math.exp(-dt / 400));
+    const cues = this.cues;
+    this.cues = [];
+    return { cues, engaged: this.engaged };
+  }
+}
@@ -0,0 +1,29 @@
+import { Backchannel } from "./backchannel";
+
+const types = (bc, now) => bc.update(now).cues.map((c) => c.type);
+
+test("nods at phrase boundaries and blinks when the user pauses", () => {
+  const bc = new Backchannel({ intensity: 1 });
+  bc.hear("I had a", { now: 0 });
+  expect(types(bc, 100)).toEqual([]);
+  bc.hear("I had a long day,", { now: 200 });
+  expect(types(bc, 250)).toEqual(["nod"]);
+  expect(types(bc, 800)).toEqual(["blink"]);
+});
+
+test("emphatic words raise the brows, at most once every few seconds", () => {
+  const bc = new Backchannel({ intensity: 1 });
+  bc.hear("nobody", { now: 0 });
+  bc.hear("nobody ever really", { now: 300 });
+  expect(types(bc, 350)).toEqual(["brow"]);
+  bc.hear("nobody ever really listens but", { now: 3500 });
+  expect(types(bc, 3550)).toEqual(["brow"]);
+});
+
+test("reduced motion keeps blinks but drops nods and brow raises", () => {
+  const bc = new Backchannel({ intensity: 1, reducedMotion: true });
+  bc.hear("I really feel alone, you know", { now: 0 });
+  expect(types(bc, 100)).toEqual([]);
+  expect(types(bc, 600)).toEqual(["blink"]);
+  expect(bc.update(700).engaged).toBeGreaterThan(0);
+});
@@ -0,0 +1,62 @@
+// src/browserWhisper.js
+// On-device speech-to-text: utterances recorded by SegmentingRecognizer are decoded
+// to 16 kHz PCM here and transcribed by Whisper in src/whisperWorker.js.
+import { SegmentingRecognizer, canRecordAudio } from "./recorderSTT";
+import { createModelWorker } from "./modelWorker";
+
+export const WHISPER_MODEL = process.env.REACT_APP_WHISPER_MODEL || "Xenova/whisper-tiny.en";
+const SAMPLE_RATE = 16000;
+
+export const canRunBrowserWhisper = () =>
+  canRecordAudio() &&
+  typeof window.Worker !== "undefined" &&
+  typeof window.OfflineAudioContext !== "undefined";
+
+// ---------- shared worker ----------
+const whisper = createModelWorker(() => new Worker(new URL("./whisperWorker.js", import.meta.url)), "Whisper");
+
+export const subscribeWhisperStatus = whisper.subscribe;
+
+// Start downloading/compiling the model before the first utterance
+export const preloadWhisper = (model = WHISPER_MODEL) => whisper.preload(model);
+
+function runInWorker(audio, { language, onPartial }) {
+  return whisper
+    .request("transcribe", { audio, model: WHISPER_MODEL, language }, {
+      transfer: [audio.buffer],
+      onPartial: onPartial && ((msg) => onPartial(msg.text)),
+    })
+    .then((msg) => msg.text);
+}
+
+// ---------- audio: recorded blob -> mono Float32 @ 16 kHz ----------
+async function blobToPCM(blob) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  try {
+    const decoded = await ctx.decodeAudioData(await blob.arrayBuffer());
+    const frames = Math.ceil(decoded.duration * SAMPLE_RATE);
+    const offline = new window.OfflineAudioContext(1, frames, SAMPLE_RATE);
+    const src = offline.createBufferSource();
+    src.buffer = decoded;
+    src.connect(offline.destination);
+    src.start();
+    const rendered = await offline.startRendering();
+    return rendered.getChannelData(0).slice();
+  } finally {
+    try { ctx.close(); } catch {}
+  }
+}
+
+// ---------- recognizer ----------
+export class BrowserWhisperRecognizer extends SegmentingRecognizer {
+  async start() {
+    preloadWhisper();
+    return super.start();
+  }
+
+  async transcribe(blob, onPartial) {
+    const audio = await blobToPCM(blob);
+    return runInWorker(audio, { language: (this.lang || "en").split("-")[0], onPartial });
+  }
+}
@@ -0,0 +1,177 @@
+// src/chatStream.js
+// Incremental reader for /chat_llm/send replies.
+// Handles Server-Sent Events, plain chunked text, and (as a fallback)
+// a regular one-shot JSON/text body from servers that don't stream.
+
+// ---------- sentence splitting ----------
+// A sentence is complete once its terminal punctuation (plus any closing quotes or
+// brackets) is followed by whitespace, so "3.5" or a half-received "Dr." at the end
+// of the buffer don't split early; a newline always ends one. A single left-to-right
+// scan: long runs like "....." or "?!?!" cost no more than any other text.
+const TERMINALS = ".!?";
+const CLOSERS = "\"')]";
+
+export function takeSentences(buf) {
+  const sentences = [];
+  const push = (s) => { if (s.trim()) sentences.push(s.trim()); };
+  let start = 0;
+  let i = 0;
+  while (i < buf.length) {
+    if (buf[i] === "\n") {
+      push(buf.slice(start, ++i));
+      start = i;
+    } else if (TERMINALS.includes(buf[i])) {
+      let j = i;
+      while (j < buf.length && TERMINALS.includes(buf[j])) j++;
+      while (j < buf.length && CLOSERS.includes(buf[j])) j++;
+      if (j < buf.length && /\s/.test(buf[j])) {
+        push(buf.slice(start, j));
+        start = j;
+      }
+      i = j;
+    } else {
+      i++;
+    }
+  }
+  return { sentences, rest: buf.slice(start) };
+}
+
+// A whole reply as a list of sentences (the unterminated tail counts as one)
+export function splitSentences(text) {
+  const { sentences, rest } = takeSentences(`${text} `);
+  return rest.trim() ? [...sentences, rest.trim()] : sentences;
+}
+
+// ---------- SSE parsing ----------
+// Returns complete events (joined data lines) and the unparsed remainder.
+function takeSSEEvents(buf) {
+  const events = [];
+  const blocks = buf.replace(/\r\n/g, "\n").split("\n\n");
+  const rest = blocks.pop();
+  for (const block of blocks) {
+    let name = "message";
+    const data = [];
+    for (const line of block.split("\n")) {
+      if (line.startsWith(":")) continue; // comment / keep-alive
+      if (line.startsWith("event:")) name = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    }
+    if (data.length || name !== "message") events.push({ name, data: data.join("\n") });
+  }
+  return { events, rest };
+}
+
+// Pull the text delta out of one SSE payload; `done` marks end-of-stream,
+// `meta` is the parsed JSON object (for hints like `action`).
+function readEventData({ name, data }) {
+  if (name === "done" || data === "[DONE]") return { done: true, token: "" };
+  try {
+    const j = JSON.parse(data);
+    if (j && typeof j === "object") {
+      const token = j.token ?? j.delta ?? j.content ?? j.message ?? j.payload ?? "";
+      return { done: !!j.done, token: String(token), meta: j };
+    }
+  } catch { /* raw text event */ }
+  return { done: false, token: data };
+}
+
+// Non-streaming body: same flattening sendToServer has always done.
+function readWholeBody(text) {
+  try {
+    const j = JSON.parse(text);
+    return { text: String(j?.message ?? j?.payload ?? text), meta: j && typeof j === "object" ? j : null };
+  } catch {
+    return { text, meta: null };
+  }
+}
+
+// ---------- main entry ----------
+/**
+ * POST `payload` to `url` and stream the reply.
+ * onToken(text)     – every raw text delta, as it arrives
+ * onSentence(text)  – every completed sentence (the trailing remainder is flushed at the end)
+ * onMeta(obj)       – every JSON object received (SSE events or a one-shot body)
+ * Resolves with the full reply text; throws on HTTP/network errors.
+ */
+export async function streamChat(url, payload, { onToken, onSentence, onMeta, signal } = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream, text/plain, application/json",
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`HTTP ${res.status} ${res.statusText} – ${body.slice(0, 200)}`);
+  }
+
+  let full = "";
+  let pending = "";
+  const push = (tok) => {
+    if (!tok) return;
+    full += tok;
+    onToken?.(tok);
+    pending += tok;
+    const { sentences, rest } = takeSentences(pending);
+    pending = rest;
+    sentences.forEach((s) => onSentence?.(s));
+  };
+  const flush = () => {
+    const tail = pending.trim();
+    pending = "";
+    if (tail) onSentence?.(tail);
+  };
+
+  const type = res.headers.get("content-type") || "";
+  const isSSE = type.includes("text/event-stream");
+
+  // Server answered in one piece (or the browser can't stream bodies)
+  if ((!isSSE && type.includes("application/json")) || !res.body?.getReader) {
+    const { text, meta } = readWholeBody(await res.text());
+    if (meta) onMeta?.(meta);
+    push(text);
+    flush();
+    return full;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let raw = "";
+  let done = false;
+
+  while (!done) {
+    const { value, done: eof } = await reader.read();
+    if (eof) break;
+    const chunk = decoder.decode(value, { stream: true });
+    if (!isSSE) { push(chunk); continue; }
+
+    raw += chunk;
+    const { events, rest } = takeSSEEvents(raw);
+    raw = rest;
+    for (const ev of events) {
+      const r = readEventData(ev);
+      if (r.meta) onMeta?.(r.meta);
+      push(r.token);
+      if (r.done) { done = true; break; }
+    }
+  }
+  if (done) {
+    try { await reader.cancel(); } catch {}
+  } else if (!isSSE) {
+    push(decoder.decode());
+  } else if ((raw += decoder.decode()).trim()) {
+    // last event without the trailing blank line
+    const { events } = takeSSEEvents(raw + "\n\n");
+    events.forEach((ev) => {
+      const r = readEventData(ev);
+      if (r.meta) onMeta?.(r.meta);
+      push(r.token);
+    });
+  }
+
+  flush();
+  return full;
+}
@@ -0,0 +1,82 @@
+import { TextDecoder, TextEncoder } from "util";
+import { splitSentences, streamChat, takeSentences } from "./chatStream";
+
+// jsdom has neither; the browser provides both
+global.TextDecoder = TextDecoder;
+
+// A fetch Response whose body arrives in the given chunks
+function reply(type, chunks) {
+  const bytes = chunks.map((c) => new TextEncoder().encode(c));
+  return {
+    ok: true,
+    headers: { get: () => type },
+    text: async () => chunks.join(""),
+    body: {
+      getReader: () => ({
+        read: async () => (bytes.length ? { value: bytes.shift(), done: false } : { done: true }),
+        cancel: jest.fn(async () => {}),
+      }),
+    },
+  };
+}
+
+async function collect(res) {
+  global.fetch = jest.fn(async () => res);
+  const tokens = [];
+  const sentences = [];
+  const metas = [];
+  const full = await streamChat("/chat_llm/send", { message: "hi" }, {
+    onToken: (t) => tokens.push(t),
+    onSentence: (s) => sentences.push(s),
+    onMeta: (m) => metas.push(m),
+  });
+  return { full, tokens, sentences, metas };
+}
+
+test("sentences end at punctuation followed by whitespace, or a newline", () => {
+  expect(takeSentences("Hi there. It's 3.5 degrees! Is it \"cold?\" Dr.")).toEqual({
+    sentences: ["Hi there.", "It's 3.5 degrees!", "Is it \"cold?\""],
+    rest: " Dr.",
+  });
+  expect(takeSentences("one\ntwo")).toEqual({ sentences: ["one"], rest: "two" });
+  expect(splitSentences("Okay... I hear you. Take your time")).toEqual(["Okay...", "I hear you.", "Take your time"]);
+});
+
+// A quadratic scan would take minutes on this input; a linear one finishes well inside the timeout.
+test("long punctuation runs are split in linear time", () => {
+  const text = `wait${".".repeat(200000)}what${"?!".repeat(200000)}`;
+  expect(takeSentences(text).sentences).toEqual([]);
+  expect(splitSentences(text)).toEqual([text]);
+}, 20000);
+
+test("SSE replies are read across chunk boundaries and stop at [DONE]", async () => {
+  const res = reply("text/event-stream", [
+    ": keep-alive\n\ndata: {\"token\": \"Hi th",
+    "ere. \", \"action\": \"breathe\"}\n\ndata: How are\n\n",
+    "data:  you?\n\ndata: [DONE]\n\ndata: ignored\n\n",
+  ]);
+  const { full, tokens, sentences, metas } = await collect(res);
+  expect(tokens).toEqual(["Hi there. ", "How are", " you?"]);
+  expect(sentences).toEqual(["Hi there.", "How are you?"]);
+  expect(metas).toEqual([{ token: "Hi there. ", action: "breathe" }]);
+  expect(full).toBe("Hi there. How are you?");
+});
+
+test("plain chunked text is passed through as it arrives", async () => {
+  const { full, tokens, sentences } = await collect(reply("text/plain", ["I hear", " you. Take", " your time"]));
+  expect(tokens).toEqual(["I hear", " you. Take", " your time"]);
+  expect(sentences).toEqual(["I hear you.", "Take your time"]);
+  expect(full).toBe("I hear you. Take your time");
+});
+
+test("a one-shot JSON body is flattened to its message", async () => {
+  const { full, sentences, metas } = await collect(reply("application/json", ['{"message": "Okay. I\'m here.", "action": "ground"}']));
+  expect(full).toBe("Okay. I'm here.");
+  expect(sentences).toEqual(["Okay.", "I'm here."]);
+  expect(metas).toEqual([{ message: "Okay. I'm here.", action: "ground" }]);
+});
+
+test("HTTP errors are thrown with the status", async () => {
+  global.fetch = jest.fn(async () => ({ ok: false, status: 502, statusText: "Bad Gateway", text: async () => "upstream down" }));
+  await expect(streamChat("/chat_llm/send", {})).rejects.toThrow("HTTP 502 Bad Gateway – upstream down");
+});
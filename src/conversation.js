@@ -0,0 +1,79 @@
+// src/conversation.js
+// Client-side conversation model: one session id + ordered user/assistant turns.
+// Kept in sessionStorage so a reload continues the conversation, but closing the
+// tab (or the quick-exit) leaves nothing behind on a shared device.
+import { useCallback, useEffect, useRef, useState } from "react";
+
+export const CONVERSATION_KEY = "conversation:v1";
+export const DEFAULT_HISTORY_WINDOW = Number(process.env.REACT_APP_HISTORY_TURNS) || 8;
+
+const newId = () =>
+  (typeof crypto !== "undefined" && crypto.randomUUID?.()) ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+function loadConversation() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(CONVERSATION_KEY) || "null");
+    if (saved?.sessionId && Array.isArray(saved.turns)) return saved;
+  } catch {}
+  return { sessionId: newId(), turns: [] };
+}
+
+function saveConversation(conv) {
+  try { sessionStorage.setItem(CONVERSATION_KEY, JSON.stringify(conv)); } catch {}
+}
+
+export function clearStoredConversation() {
+  try { sessionStorage.removeItem(CONVERSATION_KEY); } catch {}
+}
+
+/**
+ * turns: [{ id, role: "user" | "assistant", text, at (ms epoch), meta }]
+ * Callbacks read from a ref, so they are safe to call from timers and recognizer events.
+ */
+export function useConversation({ historyWindow = DEFAULT_HISTORY_WINDOW } = {}) {
+  const [conv, setConv] = useState(loadConversation);
+  const convRef = useRef(conv);
+
+  useEffect(() => { saveConversation(conv); }, [conv]);
+
+  const commit = (next) => {
+    convRef.current = next;
+    setConv(next);
+  };
+
+  const addTurn = useCallback((role, text, meta = {}) => {
+    const turn = { id: newId(), role, text, at: Date.now(), meta };
+    commit({ ...convRef.current, turns: [...convRef.current.turns, turn] });
+    return turn.id;
+  }, []);
+
+  const updateTurn = useCallback((id, patch) => {
+    commit({
+      ...convRef.current,
+      turns: convRef.current.turns.map((t) => (t.id === id ? { ...t, ...patch, meta: { ...t.meta, ...patch.meta } } : t)),
+    });
+  }, []);
+
+  // Fields added to each request: session id, recent history, client metadata
+  const requestContext = useCallback((metadata = {}) => ({
+    session_id: convRef.current.sessionId,
+    history: convRef.current.turns.slice(-historyWindow).map((t) => ({
+      role: t.role,
+      content: t.text,
+      at: new Date(t.at).toISOString(),
+    })),
+    metadata: {
+      locale: typeof navigator !== "undefined" ? navigator.language : undefined,
+      client_time: new Date().toISOString(),
+      ...metadata,
+    },
+  }), [historyWindow]);
+
+  const reset = useCallback(() => {
+    clearStoredConversation();
+    commit({ sessionId: newId(), turns: [] });
+  }, []);
+
+  return { sessionId: conv.sessionId, turns: conv.turns, addTurn, updateTurn, requestContext, reset };
+}
@@ -0,0 +1,133 @@
+// src/crisisDetector.js
+// Offline, rule-based risk screen for finalized user phrases.
+// It is not a diagnosis: it only decides how urgently the UI should surface
+// crisis resources, and gives the backend a hint alongside the message.
+
+export const RISK_LEVELS = ["none", "low", "moderate", "high", "imminent"];
+
+export const riskRank = (level) => Math.max(0, RISK_LEVELS.indexOf(level));
+export const riskAtLeast = (level, min) => riskRank(level) >= riskRank(min);
+export const maxRisk = (a, b) => (riskRank(a) >= riskRank(b) ? a : b);
+
+// ---------- phrase lists (lowercase, apostrophes kept) ----------
+// Strings match on word boundaries; a word ending in "*" also matches its
+// inflections ("kill* myself" → killed/killing/kills myself). RegExps are used
+// as-is on the normalized clause.
+const PHRASES = {
+  imminent: [
+    /\b(going to|gonna|about to|ready to) (kill myself|end (it|my life)|take my (own )?life)\b/,
+    /\b(kill myself|end it|end my life) (tonight|today|right now|now)\b/,
+    /\bi (have|got|bought) (a|the) (gun|rope|pills)\b/,
+    /\b(took|swallowed) (all|a bunch|a lot)( of)? (my |the )?pills\b/,
+    "overdosed", "i have a plan", "made a plan", "wrote a suicide note", "wrote my suicide note",
+    "this is goodbye", "saying my goodbyes", "on the ledge", "on the bridge",
+  ],
+  high: [
+    "kill* myself", "suicide", "suicidal", "end* my life", "take* my own life", "take* my life",
+    "want* to die", "wanna die", "wish* i was dead", "wish* i were dead",
+    "better off dead", "better off without me", "no reason to live", "not worth living", "end* it all",
+    // passive ideation: "i don't wanna live anymore", "i no longer want to be here anymore"
+    /\b(don't|do not|no longer|never) (want to|wanna) (live|be alive|exist|wake up|be here anymore|be around anymore)\b/,
+    "hurt* myself", "self harm*", "cut* myself", "hang* myself", "jump* off",
+  ],
+  moderate: [
+    "hopeless", "no way out", "can't go on", "can't take it anymore", "can't do this anymore",
+    "worthless", "i'm a burden", "i am a burden", "nobody would miss me", "no one would miss me",
+    "nobody cares", "no one cares", "give up on everything", "nothing matters", "i feel trapped",
+    "disappear forever", "empty inside", "nothing to live for",
+  ],
+  low: [
+    "depressed", "so alone", "lonely", "can't sleep", "exhausted", "overwhelmed",
+    "crying", "anxious", "panic attack", "scared", "stressed",
+  ],
+};
+
+// Words that flip the meaning of a phrase when they appear just before it
+const NEGATORS = new Set([
+  "not", "never", "no", "don't", "won't", "wouldn't", "isn't", "aren't",
+  "wasn't", "can't", "couldn't", "shouldn't", "didn't", "nor", "without",
+]);
+const NEGATION_WINDOW = 3; // tokens before the match
+// "can't stop wanting to die", "can't help thinking about killing myself": a negator
+// on one of these verbs intensifies the phrase instead of negating it
+const INTENSIFIED = new Set(["stop", "help", "quit"]);
+// Unpunctuated speech runs clauses together ("i can't i want to die"): a subject
+// pronoun between the negator and the phrase starts a new clause and ends its reach
+const CLAUSE_STARTERS = new Set(["i", "i'm", "i've", "i'll", "you", "he", "she", "we", "they"]);
+
+// "but" etc. start a new clause, so negation doesn't leak across it
+const CLAUSE_SPLIT = /[.,;:!?]+|\b(?:but|though|although|however|except)\b/;
+
+const normalize = (txt) =>
+  String(txt || "")
+    .toLowerCase()
+    .replace(/[‘’`´]/g, "'")
+    .replace(/\b(do|would|could|should|is|are|was|were|did|wo|ca)n t\b/g, "$1n't")
+    .replace(/\bdont\b/g, "don't").replace(/\bwont\b/g, "won't").replace(/\bcant\b/g, "can't")
+    .replace(/\bim\b/g, "i'm")
+    .replace(/[^a-z0-9'.,;:!?\s-]/g, " ")
+    .replace(/-/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Irregular or consonant-doubling forms; other stems take s/es/ed/ing
+const INFLECTIONS = {
+  cut: "cut(?:s|ting)?",
+  hurt: "hurt(?:s|ing)?",
+  hang: "(?:hang(?:s|ed|ing)?|hung)",
+  take: "(?:take[sn]?|taking|took)",
+};
+const wordPattern = (w) => {
+  if (!w.endsWith("*")) return escapeRe(w);
+  const stem = w.slice(0, -1);
+  return INFLECTIONS[stem] || `${escapeRe(stem)}(?:s|es|ed|ing)?`;
+};
+const phrasePattern = (p) => p.split(" ").map(wordPattern).join(" ");
+
+const TIERS = Object.entries(PHRASES).map(([tier, list]) => ({
+  tier,
+  patterns: list.map((p) =>
+    p instanceof RegExp
+      ? new RegExp(p.source, "g")
+      : new RegExp(`\\b${phrasePattern(p)}(?![a-z'])`, "g")
+  ),
+}));
+
+function isNegated(clause, index) {
+  const before = clause.slice(0, index).trim().split(" ").filter(Boolean).slice(-NEGATION_WINDOW);
+  for (let i = before.length - 1; i >= 0; i--) {
+    if (INTENSIFIED.has(before[i]) && NEGATORS.has(before[i - 1])) return false;
+    if (NEGATORS.has(before[i])) return true;
+    if (CLAUSE_STARTERS.has(before[i])) return false;
+  }
+  return false;
+}
+
+/**
+ * Screen one phrase.
+ * Returns { level, matches: [{ phrase, tier, negated }] }.
+ * A negated phrase ("I'm not going to hurt myself") is still recorded, but only
+ * counts as "low" so it never hides a non-negated signal in the same text.
+ */
+export function assessRisk(text) {
+  const matches = [];
+  let level = "none";
+
+  const clauses = normalize(text).split(CLAUSE_SPLIT).map((c) => (c || "").trim()).filter(Boolean);
+  for (const clause of clauses) {
+    for (const { tier, patterns } of TIERS) {
+      for (const re of patterns) {
+        re.lastIndex = 0;
+        let m;
+        while ((m = re.exec(clause))) {
+          const negated = isNegated(clause, m.index);
+          matches.push({ phrase: m[0], tier, negated });
+          level = maxRisk(level, negated ? "low" : tier);
+        }
+      }
+    }
+  }
+  return { level, matches };
+}
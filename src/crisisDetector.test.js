@@ -0,0 +1,59 @@
+import { assessRisk, riskAtLeast } from './crisisDetector';
+
+test('flags explicit suicidal statements as high risk', () => {
+  expect(assessRisk("I just want to die").level).toBe('high');
+  expect(assessRisk("honestly everyone would be better off dead... I mean me").level).toBe('high');
+});
+
+test('plans, means and timing escalate to imminent', () => {
+  expect(assessRisk("I'm going to kill myself tonight").level).toBe('imminent');
+  expect(assessRisk("I have the pills right here").level).toBe('imminent');
+});
+
+test('negated phrases are recorded but only count as low', () => {
+  const r = assessRisk("I'm not going to hurt myself, don't worry");
+  expect(r.level).toBe('low');
+  expect(r.matches.some((m) => m.negated)).toBe(true);
+});
+
+test('negation does not leak across clauses', () => {
+  expect(assessRisk("I'm not okay but I want to die").level).toBe('high');
+  expect(assessRisk("I don't want to live anymore").level).toBe('high');
+});
+
+test('inflected forms match the same phrases', () => {
+  expect(assessRisk("I almost killed myself last year").level).toBe('high');
+  expect(assessRisk("I keep wanting to die").level).toBe('high');
+  expect(assessRisk("he found out I've been cutting myself").level).toBe('high');
+  expect(assessRisk("I was thinking about taking my own life").level).toBe('high');
+});
+
+test('negation only reaches the clause it is in, even without punctuation', () => {
+  expect(assessRisk("i can't i want to die").level).toBe('high');
+  expect(assessRisk("i can't do this i keep thinking about killing myself").level).toBe('high');
+  expect(assessRisk("I would never kill myself").level).toBe('low');
+});
+
+test('overdoses are imminent with or without "of"', () => {
+  expect(assessRisk("I'm scared, I took all my pills").level).toBe('imminent');
+  expect(assessRisk("I swallowed a bunch of the pills").level).toBe('imminent');
+});
+
+test('"can\'t stop" and "keep" intensify rather than negate', () => {
+  expect(assessRisk("I can't stop wanting to die").level).toBe('high');
+  expect(assessRisk("I can't help thinking about killing myself").level).toBe('high');
+  expect(assessRisk("I keep wanting to die").level).toBe('high');
+});
+
+test('passive ideation phrasings are high risk', () => {
+  expect(assessRisk("I no longer want to live").level).toBe('high');
+  expect(assessRisk("I don't wanna live anymore").level).toBe('high');
+  expect(assessRisk("i dont want to be here anymore").level).toBe('high');
+  expect(assessRisk("I do not want to wake up tomorrow").level).toBe('high');
+  expect(assessRisk("I don't want to be here at this party").level).toBe('none');
+});
+
+test('everyday text stays at none', () => {
+  expect(assessRisk("the weather is nice and I had lunch").level).toBe('none');
+  expect(riskAtLeast(assessRisk("I feel hopeless").level, 'moderate')).toBe(true);
+});
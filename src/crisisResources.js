@@ -0,0 +1,57 @@
+// src/crisisResources.js
+// Bundled (offline) hotline directory + region selection helpers.
+import directory from "./crisisHotlines.json";
+
+const REGION_KEY = "crisisRegion";
+
+export const REGIONS = Object.entries(directory.regions).map(([code, r]) => ({ code, name: r.name }));
+
+export const getRegion = (code) => directory.regions[code] || directory.regions[directory.defaultRegion];
+
+// Best guess from the browser's locale list, in the user's order of preference:
+// exact locale, then its country part. A country the directory doesn't list gets
+// the international entry (no 988/911 for someone in Brazil); only a bare "en"
+// is taken to mean the default region.
+const INTERNATIONAL = "INTL";
+
+export function detectRegion(locales) {
+  const list = locales || (typeof navigator !== "undefined"
+    ? (navigator.languages?.length ? navigator.languages : [navigator.language])
+    : []);
+  for (const loc of list.filter(Boolean)) {
+    const hit = Object.entries(directory.regions).find(([, r]) =>
+      r.locales.some((l) => l.toLowerCase() === loc.toLowerCase()));
+    if (hit) return hit[0];
+    const [lang, country] = loc.split(/[-_]/);
+    if (country) return directory.regions[country.toUpperCase()] ? country.toUpperCase() : INTERNATIONAL;
+    if (lang.toLowerCase() === "en") return directory.defaultRegion;
+  }
+  return INTERNATIONAL;
+}
+
+// Manual choice (if any) wins over the locale guess
+export function loadRegion() {
+  try {
+    const saved = localStorage.getItem(REGION_KEY);
+    if (saved && directory.regions[saved]) return saved;
+  } catch {}
+  return detectRegion();
+}
+
+export function saveRegion(code) {
+  try { localStorage.setItem(REGION_KEY, code); } catch {}
+}
+
+// tel:/sms:/https: link for one directory entry
+export function serviceHref(s) {
+  if (s.kind === "chat") return s.url;
+  if (s.kind === "text") return `sms:${s.number}${s.body ? `?&body=${encodeURIComponent(s.body)}` : ""}`;
+  return `tel:${s.number}`;
+}
+
+export function serviceLabel(s) {
+  const num = s.display || s.number;
+  if (s.kind === "chat") return `Chat: ${s.name}`;
+  if (s.kind === "text") return s.body ? `Text ${s.body} to ${num}` : `Text ${num}`;
+  return `Call ${num}`;
+}
@@ -0,0 +1,17 @@
+import { detectRegion } from "./crisisResources";
+
+test("listed locales and countries map to their region", () => {
+  expect(detectRegion(["en-GB"])).toBe("GB");
+  expect(detectRegion(["fr-CA", "en-US"])).toBe("CA");
+  expect(detectRegion(["de-DE"])).toBe("DE");
+  expect(detectRegion(["en-US"])).toBe("US");
+});
+
+test("an unlisted country gets the international entry, a bare en gets the default", () => {
+  expect(detectRegion(["pt-BR"])).toBe("INTL");
+  expect(detectRegion(["de-AT", "de"])).toBe("INTL");
+  expect(detectRegion(["pt-BR", "en"])).toBe("INTL");
+  expect(detectRegion(["en"])).toBe("US");
+  expect(detectRegion(["ja"])).toBe("INTL");
+  expect(detectRegion([])).toBe("INTL");
+});
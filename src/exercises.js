@@ -0,0 +1,117 @@
+// src/exercises.js
+// Guided breathing and grounding exercises: definitions, where you are at time t,
+// and when each spoken prompt is due. Times are in seconds from the first prompt.
+
+export const EXERCISES = {
+  box: {
+    id: "box",
+    label: "Box breathing",
+    kind: "breathing",
+    intro: "Let's do some box breathing together. We'll breathe in, hold, breathe out, and hold, each for a count of four. Follow the circle with me.",
+    phases: [
+      { name: "in", label: "Breathe in", secs: 4 },
+      { name: "hold", label: "Hold", secs: 4 },
+      { name: "out", label: "Breathe out", secs: 4 },
+      { name: "hold", label: "Hold", secs: 4 },
+    ],
+    cycles: 4,
+    outro: "Nicely done. Take a moment to notice how your body feels now.",
+  },
+  "478": {
+    id: "478",
+    label: "4-7-8 breathing",
+    kind: "breathing",
+    intro: "Let's try four seven eight breathing. In through your nose for four, hold for seven, and out slowly through your mouth for eight. Follow the circle with me.",
+    phases: [
+      { name: "in", label: "Breathe in", say: "Breathe in through your nose", secs: 4 },
+      { name: "hold", label: "Hold", secs: 7 },
+      { name: "out", label: "Breathe out", say: "Slowly out through your mouth", secs: 8 },
+    ],
+    cycles: 4,
+    outro: "Well done. You can come back to this breath whenever you need it.",
+  },
+  grounding: {
+    id: "grounding",
+    label: "5-4-3-2-1 grounding",
+    kind: "grounding",
+    intro: "Let's ground ourselves in the here and now, using your senses. Take your time with each one; you can say them out loud or just in your head.",
+    steps: [
+      { count: 5, sense: "see", prompt: "Look around and find five things you can see.", secs: 25 },
+      { count: 4, sense: "feel", prompt: "Now notice four things you can feel, like your feet on the floor or the fabric of your clothes.", secs: 22 },
+      { count: 3, sense: "hear", prompt: "Listen for three things you can hear.", secs: 18 },
+      { count: 2, sense: "smell", prompt: "Find two things you can smell, or think of two smells you like.", secs: 14 },
+      { count: 1, sense: "taste", prompt: "And one thing you can taste.", secs: 10 },
+    ],
+    outro: "Well done. You're here, right now, and you got through that.",
+  },
+};
+
+// Pacing for the avatar's own breath during grounding
+const CALM_BREATH_SECS = 6;
+
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+const ease = (k) => 0.5 - 0.5 * Math.cos(Math.PI * Math.max(0, Math.min(1, k)));
+
+const cycleSecs = (ex) => sum(ex.phases.map((p) => p.secs));
+
+export const exerciseDuration = (ex) =>
+  ex.kind === "breathing" ? ex.cycles * cycleSecs(ex) : sum(ex.steps.map((s) => s.secs));
+
+/**
+ * State at `t` seconds: { done, label, secondsLeft, lung (0 empty … 1 full), progress (0…1) }
+ * plus phaseIndex/cycle for breathing or stepIndex for grounding.
+ */
+export function exerciseAt(ex, t) {
+  const total = exerciseDuration(ex);
+  if (t >= total) return { done: true, label: "", secondsLeft: 0, lung: 0, progress: 1 };
+  const progress = Math.max(0, t) / total;
+
+  if (ex.kind === "breathing") {
+    const cycle = Math.floor(t / cycleSecs(ex));
+    let u = t - cycle * cycleSecs(ex);
+    let i = 0;
+    while (u >= ex.phases[i].secs) u -= ex.phases[i++].secs;
+    const phase = ex.phases[i];
+    const k = u / phase.secs;
+    const prev = ex.phases[(i + ex.phases.length - 1) % ex.phases.length];
+    const lung = phase.name === "in" ? ease(k)
+      : phase.name === "out" ? 1 - ease(k)
+      : prev.name === "in" ? 1 : 0;
+    return { done: false, label: phase.label, secondsLeft: Math.ceil(phase.secs - u), lung, progress, phaseIndex: i, cycle };
+  }
+
+  let u = t;
+  let i = 0;
+  while (u >= ex.steps[i].secs) u -= ex.steps[i++].secs;
+  const step = ex.steps[i];
+  const lung = 0.5 - 0.5 * Math.cos((2 * Math.PI * t) / CALM_BREATH_SECS);
+  return { done: false, label: `${step.count} – ${step.sense}`, secondsLeft: Math.ceil(step.secs - u), lung, progress, stepIndex: i };
+}
+
+// Spoken prompts: [{ at, text }] in time order
+export function exerciseCues(ex) {
+  const cues = [];
+  let at = 0;
+  if (ex.kind === "breathing") {
+    for (let c = 0; c < ex.cycles; c++) {
+      for (const p of ex.phases) {
+        // full wording on the first round, then just the cue word
+        cues.push({ at, text: c === 0 ? p.say || p.label : p.label });
+        at += p.secs;
+      }
+    }
+  } else {
+    for (const s of ex.steps) {
+      cues.push({ at, text: s.prompt });
+      at += s.secs;
+    }
+  }
+  return cues;
+}
+
+// Backend hint ({ action: "breathing", exercise?: "box" | "478" | "grounding" }) → exercise id
+export function exerciseForAction(action, exercise) {
+  if (action !== "breathing" && action !== "grounding") return null;
+  if (exercise && EXERCISES[exercise]) return exercise;
+  return action === "grounding" ? "grounding" : "box";
+}
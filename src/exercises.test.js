@@ -0,0 +1,58 @@
+import { EXERCISES, exerciseAt, exerciseCues, exerciseDuration, exerciseForAction } from "./exercises";
+
+test("breathing phases change exactly at their boundaries and repeat each cycle", () => {
+  const box = EXERCISES.box;
+  expect(exerciseDuration(box)).toBe(64);
+  expect(exerciseAt(box, 0)).toMatchObject({ label: "Breathe in", phaseIndex: 0, cycle: 0, secondsLeft: 4 });
+  expect(exerciseAt(box, 3.99)).toMatchObject({ phaseIndex: 0, secondsLeft: 1 });
+  expect(exerciseAt(box, 4)).toMatchObject({ label: "Hold", phaseIndex: 1, secondsLeft: 4 });
+  expect(exerciseAt(box, 12)).toMatchObject({ label: "Hold", phaseIndex: 3 });
+  expect(exerciseAt(box, 16)).toMatchObject({ label: "Breathe in", phaseIndex: 0, cycle: 1 });
+  expect(exerciseAt(box, 32).progress).toBe(0.5);
+  expect(exerciseAt(box, 64)).toEqual({ done: true, label: "", secondsLeft: 0, lung: 0, progress: 1 });
+});
+
+test("the lung stays full on a hold after breathing in and empty on a hold after breathing out", () => {
+  const box = EXERCISES.box;
+  expect(exerciseAt(box, 0).lung).toBe(0);
+  expect(exerciseAt(box, 2).lung).toBeCloseTo(0.5);
+  expect(exerciseAt(box, 6).lung).toBe(1);  // hold after in
+  expect(exerciseAt(box, 8).lung).toBe(1);  // start of out
+  expect(exerciseAt(box, 10).lung).toBeCloseTo(0.5);
+  expect(exerciseAt(box, 14).lung).toBe(0); // hold after out
+
+  // 4-7-8 has no second hold: out wraps straight back to in
+  const ex = EXERCISES["478"];
+  expect(exerciseAt(ex, 4)).toMatchObject({ label: "Hold", lung: 1, secondsLeft: 7 });
+  expect(exerciseAt(ex, 11)).toMatchObject({ label: "Breathe out", lung: 1, secondsLeft: 8 });
+  expect(exerciseAt(ex, 19)).toMatchObject({ label: "Breathe in", lung: 0, cycle: 1 });
+});
+
+test("grounding steps follow their own durations", () => {
+  const g = EXERCISES.grounding;
+  expect(exerciseAt(g, 0)).toMatchObject({ label: "5 – see", stepIndex: 0, secondsLeft: 25, lung: 0 });
+  expect(exerciseAt(g, 25)).toMatchObject({ label: "4 – feel", stepIndex: 1 });
+  expect(exerciseAt(g, 88.5)).toMatchObject({ label: "1 – taste", stepIndex: 4, secondsLeft: 1 });
+  expect(exerciseAt(g, 89).done).toBe(true);
+});
+
+test("cues use the full wording on the first round only and land on phase starts", () => {
+  const cues = exerciseCues(EXERCISES["478"]);
+  expect(cues).toHaveLength(12);
+  expect(cues.slice(0, 4)).toEqual([
+    { at: 0, text: "Breathe in through your nose" },
+    { at: 4, text: "Hold" },
+    { at: 11, text: "Slowly out through your mouth" },
+    { at: 19, text: "Breathe in" },
+  ]);
+  expect(exerciseCues(EXERCISES.grounding).map((c) => c.at)).toEqual([0, 25, 47, 65, 79]);
+});
+
+test("backend actions map to an exercise, defaulting by action and ignoring unknown ones", () => {
+  expect(exerciseForAction("breathing")).toBe("box");
+  expect(exerciseForAction("breathing", "478")).toBe("478");
+  expect(exerciseForAction("breathing", "tai-chi")).toBe("box");
+  expect(exerciseForAction("grounding")).toBe("grounding");
+  expect(exerciseForAction("dance", "box")).toBeNull();
+  expect(exerciseForAction(undefined)).toBeNull();
+});
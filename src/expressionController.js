@@ -0,0 +1,86 @@
+// src/expressionController.js
+// Blends the VRM emotion presets (happy/sad/relaxed/surprised/angry) over time.
+// One target emotion at a time; weights ease toward it and back to neutral once
+// the avatar has been quiet for `holdSecs`. Mouth visemes are set separately by
+// the scene and mix with these (see attach()).
+
+export const EMOTION_PRESETS = ["happy", "sad", "relaxed", "surprised", "angry"];
+
+// A supportive avatar never goes full-strength on some of these
+const MAX_WEIGHT = { happy: 0.7, sad: 0.5, relaxed: 0.6, surprised: 0.5, angry: 0.25 };
+const SPEAKING_SCALE = 0.75; // leave room for the visemes while talking
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+export class ExpressionController {
+  constructor({ easeSecs = 0.35, holdSecs = 6 } = {}) {
+    this.easeSecs = easeSecs;
+    this.holdSecs = holdSecs;
+    this.weights = Object.fromEntries(EMOTION_PRESETS.map((n) => [n, 0]));
+    this.target = null;
+    this.intensity = 0;
+    this.quietFor = 0;
+  }
+
+  // Emotion presets default to blocking mouth shapes (and often blinks); let them mix instead
+  attach(vrm) {
+    EMOTION_PRESETS.forEach((name) => {
+      const e = vrm?.expressionManager?.getExpression(name);
+      if (!e) return;
+      e.overrideMouth = "none";
+      e.overrideBlink = "blend";
+    });
+  }
+
+  // name: one of EMOTION_PRESETS (anything else, e.g. "neutral", eases back to rest)
+  setEmotion(name, intensity = 1) {
+    this.target = EMOTION_PRESETS.includes(name) ? name : null;
+    this.intensity = clamp01(intensity);
+    this.quietFor = 0;
+  }
+
+  update(delta, { speaking = false } = {}) {
+    this.quietFor = speaking ? 0 : this.quietFor + delta;
+    const active = this.quietFor < this.holdSecs ? this.target : null;
+    const k = 1 - Math.exp(-delta / this.easeSecs);
+    EMOTION_PRESETS.forEach((name) => {
+      let goal = name === active ? MAX_WEIGHT[name] * this.intensity : 0;
+      if (speaking) goal *= SPEAKING_SCALE;
+      this.weights[name] += (goal - this.weights[name]) * k;
+    });
+    return this.weights;
+  }
+
+  apply(em) {
+    EMOTION_PRESETS.forEach((name) => em.setValue(name, this.weights[name]));
+  }
+}
+
+// ---------- local sentiment heuristic ----------
+// Used when the server doesn't send `emotion`. Deliberately conservative: it
+// only ever picks gentle expressions, never "angry".
+const CUES = {
+  sad: [
+    /\b(i'?m|i am) (so )?sorry\b/, /\bthat sounds (really |so )?(hard|painful|difficult|heavy|awful|lonely|exhausting)\b/,
+    /\b(loss|grief|grieving|hurts?|hurting|pain|lonely|alone)\b/, /\bmust (be|have been|feel) (hard|painful|difficult)\b/,
+  ],
+  relaxed: [
+    /\b(breathe|breathing|breath)\b/, /\btake (your|a little|some) time\b/, /\b(calm|gently|slowly|relax|rest)\b/,
+    /\b(you'?re|you are) (safe|not alone)\b/, /\bi'?m (here|right here) (with|for) you\b/, /\bone step at a time\b/,
+  ],
+  happy: [
+    /\b(glad|happy|great|wonderful|proud|well done|good to hear|that'?s (great|good|wonderful))\b/,
+    /\bthank you for (sharing|telling|trusting)\b/, /\b(hello|hi there|welcome)\b/,
+  ],
+  surprised: [/\b(wow|no way)\b/, /\b(oh|really)[!?]/],
+};
+
+export function emotionFromText(text) {
+  const t = String(text || "").toLowerCase();
+  let best = null;
+  Object.entries(CUES).forEach(([name, patterns]) => {
+    const hits = patterns.filter((re) => re.test(t)).length;
+    if (hits && (!best || hits > best.hits)) best = { name, hits };
+  });
+  return best ? { name: best.name, intensity: clamp01(0.45 + 0.2 * best.hits) } : null;
+}
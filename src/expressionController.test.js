@@ -0,0 +1,30 @@
+import { ExpressionController, emotionFromText } from "./expressionController";
+
+test("reply text picks the emotion with the most cues, stronger with more of them", () => {
+  const sad = emotionFromText("I'm so sorry. That sounds really hard.");
+  expect(sad.name).toBe("sad");
+  expect(sad.intensity).toBeCloseTo(0.85);
+  expect(emotionFromText("Let's breathe slowly together.")?.name).toBe("relaxed");
+  const happy = emotionFromText("I'm glad you told me.");
+  expect(happy.name).toBe("happy");
+  expect(happy.intensity).toBeLessThan(sad.intensity);
+  expect(emotionFromText("Oh! I didn't expect that.")?.name).toBe("surprised");
+});
+
+test("neutral or angry text leaves the face alone", () => {
+  expect(emotionFromText("What did you have for dinner?")).toBeNull();
+  expect(emotionFromText("I'm furious and angry at everyone")).toBeNull();
+  expect(emotionFromText("")).toBeNull();
+});
+
+test("weights ease to a capped target, shrink while speaking and rest after the hold", () => {
+  const ec = new ExpressionController({ easeSecs: 0.1, holdSecs: 3 });
+  ec.setEmotion("sad", 1);
+  for (let i = 0; i < 10; i++) ec.update(0.1);
+  expect(ec.weights.sad).toBeCloseTo(0.5, 2);
+  expect(ec.weights.happy).toBe(0);
+  for (let i = 0; i < 10; i++) ec.update(0.1, { speaking: true });
+  expect(ec.weights.sad).toBeCloseTo(0.375, 2);
+  for (let i = 0; i < 40; i++) ec.update(0.1);
+  expect(ec.weights.sad).toBeLessThan(0.01);
+});
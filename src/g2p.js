@@ -0,0 +1,135 @@
+// src/g2p.js
+// Small offline grapheme-to-phoneme converter for English (ARPAbet, no stress).
+// A lexicon for common irregular words plus letter-to-sound rules. It only has to
+// be good enough to shape a mouth, not to pass a pronunciation test.
+
+const LEXICON = {
+  a: "AH", the: "DH AH", to: "T UW", too: "T UW", two: "T UW", do: "D UW", does: "D AH Z", done: "D AH N",
+  you: "Y UW", your: "Y AO R", "you're": "Y AO R", are: "AA R", was: "W AA Z", what: "W AH T", want: "W AA N T",
+  one: "W AH N", once: "W AH N S", said: "S EH D", says: "S EH Z", have: "HH AE V", give: "G IH V", live: "L IH V",
+  love: "L AH V", of: "AH V", from: "F R AH M", i: "AY", "i'm": "AY M", "i'll": "AY L", "i've": "AY V", my: "M AY",
+  by: "B AY", be: "B IY", he: "HH IY", she: "SH IY", we: "W IY", me: "M IY", there: "DH EH R", their: "DH EH R",
+  "they're": "DH EH R", they: "DH EY", where: "W EH R", were: "W ER", who: "HH UW", whom: "HH UW M", whose: "HH UW Z",
+  could: "K UH D", would: "W UH D", should: "SH UH D", been: "B IH N", some: "S AH M", come: "K AH M",
+  here: "HH IY R", okay: "OW K EY", people: "P IY P AH L", through: "TH R UW", though: "DH OW", thought: "TH AO T",
+  eye: "AY", friend: "F R EH N D", any: "EH N IY", many: "M EH N IY", again: "AH G EH N", because: "B IH K AH Z",
+  know: "N OW", talk: "T AO K", walk: "W AO K", is: "IH Z", his: "HH IH Z", as: "AE Z", has: "HH AE Z",
+  this: "DH IH S", that: "DH AE T", these: "DH IY Z", those: "DH OW Z", then: "DH EH N", than: "DH AE N",
+  them: "DH EH M", with: "W IH DH", into: "IH N T UW", only: "OW N L IY", other: "AH DH ER", mother: "M AH DH ER",
+  brother: "B R AH DH ER", nothing: "N AH TH IH NG", something: "S AH M TH IH NG", anything: "EH N IY TH IH NG",
+  everything: "EH V R IY TH IH NG", every: "EH V R IY", hour: "AW ER", hours: "AW ER Z", sure: "SH UH R",
+  feel: "F IY L", hello: "HH AH L OW", hi: "HH AY", no: "N OW", so: "S OW", go: "G OW", oh: "OW",
+  breathe: "B R IY DH", breath: "B R EH TH", safe: "S EY F", alone: "AH L OW N", sorry: "S AA R IY",
+  heart: "HH AA R T", hurt: "HH ER T", mind: "M AY N D", kind: "K AY N D", child: "CH AY L D",
+};
+
+const DIGITS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+
+const VOWELS = "aeiouy";
+const isVowel = (c) => !!c && VOWELS.includes(c);
+const LONG = { a: "EY", e: "IY", i: "AY", o: "OW", u: "UW", y: "AY" };
+const SHORT = { a: "AE", e: "EH", i: "IH", o: "AA", u: "AH", y: "IH" };
+const CONSONANTS = {
+  b: "B", d: "D", f: "F", h: "HH", j: "JH", k: "K", l: "L", m: "M", n: "N", p: "P",
+  q: "K", r: "R", s: "S", t: "T", v: "V", w: "W", x: "K S", z: "Z",
+};
+
+// [letters, phonemes, test(word, i, len)?] – tried longest first at each position
+const RULES = [
+  ["tion", "SH AH N"], ["sion", "ZH AH N"], ["eigh", "EY"], ["ough", "AO"], ["augh", "AO"],
+  ["igh", "AY"], ["dge", "JH"], ["air", "EH R"], ["ear", "IY R"],
+  ["tch", "CH"], ["ch", "CH"], ["sh", "SH"], ["th", "TH"], ["ph", "F"], ["wh", "W"], ["ck", "K"],
+  ["ng", "NG"], ["qu", "K W"], ["gh", ""], ["kn", "N", (w, i) => i === 0], ["wr", "R", (w, i) => i === 0],
+  ["mb", "M", (w, i, n) => i + n === w.length],
+  ["ee", "IY"], ["ea", "IY"], ["ei", "IY"], ["ie", "AY", (w, i, n) => i + n === w.length], ["ie", "IY"],
+  ["ey", "IY", (w, i, n) => i + n === w.length], ["ay", "EY"], ["ai", "EY"], ["oa", "OW"], ["oo", "UW"],
+  ["ou", "AW"], ["ow", "OW", (w, i, n) => i + n === w.length], ["ow", "AW"], ["oi", "OY"], ["oy", "OY"],
+  ["au", "AO"], ["aw", "AO"], ["ew", "UW"], ["ue", "UW"], ["ui", "UW"],
+  ["ar", "AA R", (w, i) => !isVowel(w[i + 2])], ["or", "AO R", (w, i) => !isVowel(w[i + 2])],
+  ["er", "ER", (w, i) => !isVowel(w[i + 2])], ["ir", "ER", (w, i) => !isVowel(w[i + 2])],
+  ["ur", "ER", (w, i) => !isVowel(w[i + 2])],
+];
+
+function vowelSound(w, i) {
+  const c = w[i];
+  if (c === "y") {
+    if (i === 0) return "Y";
+    if (i === w.length - 1) return w.length <= 3 ? "AY" : "IY";
+  }
+  // silent final e (but not in "be", "the" – those are in the lexicon anyway)
+  if (c === "e" && i === w.length - 1 && i > 1 && [...w.slice(0, i)].some(isVowel)) return "";
+  // magic e: vowel + one consonant + final e
+  if (w.length - i === 3 && w[i + 2] === "e" && !isVowel(w[i + 1]) && w[i + 1]) return LONG[c];
+  // open syllable at the end: "go", "hi"
+  if (i === w.length - 1) return LONG[c];
+  return SHORT[c];
+}
+
+function consonantSound(w, i) {
+  const c = w[i];
+  const next = w[i + 1];
+  if (c === "c") return "eiy".includes(next || "x") ? "S" : "K";
+  if (c === "g") return "eiy".includes(next || "x") && i > 0 ? "JH" : "G";
+  if (c === "s" && i > 0 && isVowel(w[i - 1]) && isVowel(next)) return "Z";
+  if (c === "s" && i === w.length - 1 && i > 0 && !"ptkf".includes(w[i - 1])) return "Z";
+  return CONSONANTS[c] ?? "";
+}
+
+const ruleAt = (w, i) =>
+  RULES.find(([letters, , test]) => w.startsWith(letters, i) && (!test || test(w, i, letters.length)));
+
+function rulesToPhonemes(w) {
+  const out = [];
+  let i = 0;
+  while (i < w.length) {
+    const rule = ruleAt(w, i);
+    if (rule) {
+      if (rule[1]) out.push(...rule[1].split(" "));
+      i += rule[0].length;
+      continue;
+    }
+    const c = w[i];
+    // double consonants sound once
+    if (!isVowel(c) && c === w[i + 1]) { i++; continue; }
+    const p = isVowel(c) ? vowelSound(w, i) : consonantSound(w, i);
+    if (p) out.push(...p.split(" "));
+    i++;
+  }
+  return out;
+}
+
+/** Phonemes for one word (letters and apostrophes; digits are read one by one). */
+export function wordToPhonemes(word) {
+  const w = String(word || "").toLowerCase().replace(/[’‘]/g, "'");
+  if (/^\d+$/.test(w)) return [...w].flatMap((d) => wordToPhonemes(DIGITS[d]));
+  const clean = w.replace(/[^a-z']/g, "");
+  if (!clean) return [];
+  if (LEXICON[clean]) return LEXICON[clean].split(" ");
+  // plural / possessive of a known word
+  const base = clean.replace(/'?s$/, "");
+  if (base !== clean && LEXICON[base]) return [...LEXICON[base].split(" "), "Z"];
+  return rulesToPhonemes(clean.replace(/'/g, ""));
+}
+
+/**
+ * Split text into words with their character positions (matching SpeechSynthesis
+ * boundary charIndex) and phonemes: [{ text, start, end, phonemes, pause }].
+ * `pause` is the punctuation after the word: "" | "," | "."
+ */
+export function textToPhonemeWords(text) {
+  const words = [];
+  const re = /[A-Za-z0-9'’]+/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const end = m.index + m[0].length;
+    const after = text.slice(end).match(/^[^A-Za-z0-9]*/)[0];
+    words.push({
+      text: m[0],
+      start: m.index,
+      end,
+      phonemes: wordToPhonemes(m[0]),
+      pause: /[.!?]/.test(after) ? "." : /[,;:—–-]/.test(after) ? "," : "",
+    });
+  }
+  return words;
+}
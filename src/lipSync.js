@@ -0,0 +1,118 @@
+// src/lipSync.js
+// Text → VRM mouth shapes. Each phoneme maps to one of the five VRM visemes
+// (aa/ih/ou/ee/oh) with a weight and an estimated duration; a VisemeTrack plays
+// them back in time with speech, re-anchoring on every SpeechSynthesis word
+// boundary and learning how fast the voice actually talks. Without boundary
+// events it just runs on the estimated timing for the utterance's rate.
+import { textToPhonemeWords } from "./g2p";
+
+export const VISEMES = ["aa", "ih", "ou", "ee", "oh"];
+
+// phoneme → [viseme (null = lips closed), weight, seconds at rate 1]
+const PHONEME_VISEMES = {
+  AA: ["aa", 1.0, 0.11], AE: ["aa", 0.9, 0.1], AH: ["aa", 0.7, 0.08], AO: ["oh", 0.9, 0.11],
+  AW: ["aa", 0.9, 0.13], AY: ["aa", 0.9, 0.13], EH: ["ee", 0.8, 0.09], ER: ["ou", 0.5, 0.1],
+  EY: ["ee", 0.9, 0.12], IH: ["ih", 0.7, 0.08], IY: ["ih", 0.9, 0.1], OW: ["oh", 0.9, 0.12],
+  OY: ["oh", 0.9, 0.13], UH: ["ou", 0.7, 0.08], UW: ["ou", 0.9, 0.1],
+  B: [null, 0, 0.05], P: [null, 0, 0.05], M: [null, 0, 0.06],
+  F: ["ih", 0.2, 0.07], V: ["ih", 0.2, 0.06], TH: ["ih", 0.3, 0.07], DH: ["ih", 0.3, 0.05],
+  W: ["ou", 0.6, 0.06], R: ["ou", 0.35, 0.06], Y: ["ih", 0.5, 0.05],
+  CH: ["ou", 0.4, 0.08], JH: ["ou", 0.4, 0.07], SH: ["ou", 0.4, 0.08], ZH: ["ou", 0.4, 0.07],
+  S: ["ih", 0.35, 0.08], Z: ["ih", 0.35, 0.07],
+  T: ["ih", 0.3, 0.05], D: ["ih", 0.3, 0.05], N: ["ih", 0.3, 0.06], L: ["aa", 0.3, 0.06],
+  K: ["aa", 0.3, 0.06], G: ["aa", 0.3, 0.05], NG: ["aa", 0.3, 0.06], HH: ["aa", 0.35, 0.05],
+};
+const PAUSE_SECS = { "": 0.04, ",": 0.22, ".": 0.42 };
+
+/** Words with viseme segments and estimated durations (seconds at rate 1). */
+export function visemeWords(text) {
+  return textToPhonemeWords(text).map((w) => {
+    const segs = w.phonemes.map((p) => {
+      const [viseme, weight, dur] = PHONEME_VISEMES[p] || ["aa", 0.3, 0.06];
+      return { phoneme: p, viseme, weight, dur };
+    });
+    return { ...w, segs, dur: segs.reduce((a, s) => a + s.dur, 0), gap: PAUSE_SECS[w.pause] };
+  });
+}
+
+// The strongest viseme in a word (for callers that only get one shape per word)
+export function dominantViseme(word) {
+  const best = visemeWords(word)[0]?.segs
+    .filter((s) => s.viseme)
+    .reduce((a, s) => (!a || s.weight * s.dur > a.weight * a.dur ? s : a), null);
+  return best?.viseme || "aa";
+}
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+export class VisemeTrack {
+  constructor(text, { rate = 1 } = {}) {
+    this.words = visemeWords(text);
+    this.rate = rate || 1;
+    this.speed = 1;          // actual / estimated word timing, learned from boundaries
+    this.anchor = null;      // { index, at } – word `index` started at time `at` (ms)
+    this.boundaries = false;
+    this.pausedAt = null;
+  }
+
+  // Seconds a word (plus its trailing pause) is expected to take right now
+  _wordSecs(w) {
+    return ((w.dur + w.gap) * this.speed) / this.rate;
+  }
+
+  start(now = performance.now()) {
+    this.anchor = { index: 0, at: now };
+  }
+
+  // SpeechSynthesisUtterance "word" boundary at `charIndex`
+  boundary(charIndex, now = performance.now()) {
+    let i = this.words.findIndex((w) => charIndex < w.end);
+    if (i < 0) return;
+    if (this.anchor && i > this.anchor.index) {
+      let est = 0;
+      for (let k = this.anchor.index; k < i; k++) est += this._wordSecs(this.words[k]);
+      const actual = (now - this.anchor.at) / 1000;
+      if (est > 0) this.speed = clamp(this.speed * (0.7 + 0.3 * (actual / est)), 0.4, 2.5);
+    }
+    this.boundaries = true;
+    this.anchor = { index: i, at: now };
+  }
+
+  // Speech paused: the mouth rests, and resume() carries on from the same spot
+  pause(now = performance.now()) {
+    if (this.pausedAt == null) this.pausedAt = now;
+  }
+
+  resume(now = performance.now()) {
+    if (this.pausedAt == null) return;
+    if (this.anchor) this.anchor.at += now - this.pausedAt;
+    this.pausedAt = null;
+  }
+
+  /** Target viseme weights at `now`: { aa, ih, ou, ee, oh } (all 0 between words). */
+  sample(now = performance.now()) {
+    const out = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+    if (!this.anchor || this.pausedAt != null) return out;
+    let t = (now - this.anchor.at) / 1000;
+    // with real boundaries, never run more than one word ahead of the voice
+    const last = this.boundaries ? Math.min(this.words.length, this.anchor.index + 2) : this.words.length;
+    for (let i = this.anchor.index; i < last; i++) {
+      const w = this.words[i];
+      const scale = this.speed / this.rate;
+      if (t < w.dur * scale) {
+        for (const s of w.segs) {
+          const d = s.dur * scale;
+          if (t < d) {
+            if (s.viseme) out[s.viseme] = s.weight * Math.sin(Math.PI * clamp(0.15 + 0.7 * (t / d), 0, 1));
+            return out;
+          }
+          t -= d;
+        }
+        return out;
+      }
+      t -= this._wordSecs(w);
+      if (t < 0) return out; // pause after the word
+    }
+    return out;
+  }
+}
@@ -0,0 +1,39 @@
+import { wordToPhonemes, textToPhonemeWords } from "./g2p";
+import { VisemeTrack, dominantViseme } from "./lipSync";
+
+test("g2p handles lexicon words, digraphs and magic e", () => {
+  expect(wordToPhonemes("the")).toEqual(["DH", "AH"]);
+  expect(wordToPhonemes("night")).toEqual(["N", "AY", "T"]);
+  expect(wordToPhonemes("make")).toEqual(["M", "EY", "K"]);
+  expect(wordToPhonemes("phone")).toEqual(["F", "OW", "N"]);
+  expect(wordToPhonemes("12")).toEqual(["W", "AH", "N", "T", "UW"]);
+});
+
+test("words keep the character offsets speech boundaries report", () => {
+  const words = textToPhonemeWords("Hi, I'm here.");
+  expect(words.map((w) => [w.text, w.start, w.pause])).toEqual([["Hi", 0, ","], ["I'm", 4, ""], ["here", 8, "."]]);
+});
+
+test("each word gets its dominant mouth shape", () => {
+  expect(["go", "see", "you", "cat", "bed"].map(dominantViseme)).toEqual(["oh", "ih", "ou", "aa", "ee"]);
+});
+
+test("boundaries re-anchor the track and slow it down to the voice", () => {
+  const track = new VisemeTrack("Hello there, friend.");
+  track.start(0);
+  expect(Object.values(track.sample(250)).some((v) => v > 0)).toBe(true);
+  track.boundary(6, 1000); // "there" starts much later than estimated
+  expect(track.anchor).toEqual({ index: 1, at: 1000 });
+  expect(track.speed).toBeGreaterThan(1);
+  expect(Object.values(track.sample(5000)).every((v) => v === 0)).toBe(true);
+});
+
+test("a paused track rests its mouth and resumes where it stopped", () => {
+  const track = new VisemeTrack("Hello there.");
+  track.start(0);
+  const before = track.sample(100);
+  track.pause(100);
+  expect(Object.values(track.sample(2000)).every((v) => v === 0)).toBe(true);
+  track.resume(3000);
+  expect(track.sample(3000)).toEqual(before);
+});
@@ -0,0 +1,126 @@
+// src/mixamoRetarget.js
+// Mixamo FBX animations → clips for any loaded VRM. Mixamo bones are mapped onto
+// VRMHumanBoneName and resolved to the same normalized bone nodes getBones() uses.
+// Each rotation key is moved out of the Mixamo rig's rest space (its bones carry
+// arbitrary rest rotations) into the normalized rig, whose rest pose is identity;
+// hips motion is rescaled to the avatar's height, and VRM 0.x models (which face
+// -Z) get X/Z mirrored.
+import * as THREE from "three";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { VRMHumanBoneName } from "@pixiv/three-vrm";
+import { normalizedBone } from "./vrmBones";
+
+export const MIXAMO_VRM_BONES = {
+  mixamorigHips: VRMHumanBoneName.Hips,
+  mixamorigSpine: VRMHumanBoneName.Spine,
+  mixamorigSpine1: VRMHumanBoneName.Chest,
+  mixamorigSpine2: VRMHumanBoneName.UpperChest,
+  mixamorigNeck: VRMHumanBoneName.Neck,
+  mixamorigHead: VRMHumanBoneName.Head,
+  mixamorigLeftShoulder: VRMHumanBoneName.LeftShoulder,
+  mixamorigLeftArm: VRMHumanBoneName.LeftUpperArm,
+  mixamorigLeftForeArm: VRMHumanBoneName.LeftLowerArm,
+  mixamorigLeftHand: VRMHumanBoneName.LeftHand,
+  mixamorigLeftHandThumb1: VRMHumanBoneName.LeftThumbMetacarpal,
+  mixamorigLeftHandThumb2: VRMHumanBoneName.LeftThumbProximal,
+  mixamorigLeftHandThumb3: VRMHumanBoneName.LeftThumbDistal,
+  mixamorigLeftHandIndex1: VRMHumanBoneName.LeftIndexProximal,
+  mixamorigLeftHandIndex2: VRMHumanBoneName.LeftIndexIntermediate,
+  mixamorigLeftHandIndex3: VRMHumanBoneName.LeftIndexDistal,
+  mixamorigLeftHandMiddle1: VRMHumanBoneName.LeftMiddleProximal,
+  mixamorigLeftHandMiddle2: VRMHumanBoneName.LeftMiddleIntermediate,
+  mixamorigLeftHandMiddle3: VRMHumanBoneName.LeftMiddleDistal,
+  mixamorigLeftHandRing1: VRMHumanBoneName.LeftRingProximal,
+  mixamorigLeftHandRing2: VRMHumanBoneName.LeftRingIntermediate,
+  mixamorigLeftHandRing3: VRMHumanBoneName.LeftRingDistal,
+  mixamorigLeftHandPinky1: VRMHumanBoneName.LeftLittleProximal,
+  mixamorigLeftHandPinky2: VRMHumanBoneName.LeftLittleIntermediate,
+  mixamorigLeftHandPinky3: VRMHumanBoneName.LeftLittleDistal,
+  mixamorigRightShoulder: VRMHumanBoneName.RightShoulder,
+  mixamorigRightArm: VRMHumanBoneName.RightUpperArm,
+  mixamorigRightForeArm: VRMHumanBoneName.RightLowerArm,
+  mixamorigRightHand: VRMHumanBoneName.RightHand,
+  mixamorigRightHandThumb1: VRMHumanBoneName.RightThumbMetacarpal,
+  mixamorigRightHandThumb2: VRMHumanBoneName.RightThumbProximal,
+  mixamorigRightHandThumb3: VRMHumanBoneName.RightThumbDistal,
+  mixamorigRightHandIndex1: VRMHumanBoneName.RightIndexProximal,
+  mixamorigRightHandIndex2: VRMHumanBoneName.RightIndexIntermediate,
+  mixamorigRightHandIndex3: VRMHumanBoneName.RightIndexDistal,
+  mixamorigRightHandMiddle1: VRMHumanBoneName.RightMiddleProximal,
+  mixamorigRightHandMiddle2: VRMHumanBoneName.RightMiddleIntermediate,
+  mixamorigRightHandMiddle3: VRMHumanBoneName.RightMiddleDistal,
+  mixamorigRightHandRing1: VRMHumanBoneName.RightRingProximal,
+  mixamorigRightHandRing2: VRMHumanBoneName.RightRingIntermediate,
+  mixamorigRightHandRing3: VRMHumanBoneName.RightRingDistal,
+  mixamorigRightHandPinky1: VRMHumanBoneName.RightLittleProximal,
+  mixamorigRightHandPinky2: VRMHumanBoneName.RightLittleIntermediate,
+  mixamorigRightHandPinky3: VRMHumanBoneName.RightLittleDistal,
+  mixamorigLeftUpLeg: VRMHumanBoneName.LeftUpperLeg,
+  mixamorigLeftLeg: VRMHumanBoneName.LeftLowerLeg,
+  mixamorigLeftFoot: VRMHumanBoneName.LeftFoot,
+  mixamorigLeftToeBase: VRMHumanBoneName.LeftToes,
+  mixamorigRightUpLeg: VRMHumanBoneName.RightUpperLeg,
+  mixamorigRightLeg: VRMHumanBoneName.RightLowerLeg,
+  mixamorigRightFoot: VRMHumanBoneName.RightFoot,
+  mixamorigRightToeBase: VRMHumanBoneName.RightToes,
+};
+
+// Some exports prefix bones differently ("mixamorig1:Hips", "mixamorig:Hips")
+const mixamoKey = (name) => name.replace(/^mixamorig\d*:?/, "mixamorig");
+
+// Avatar hips height in its rest pose (metres)
+function vrmHipsHeight(vrm) {
+  const rest = vrm.humanoid?.normalizedRestPose?.hips?.position;
+  if (rest) return Math.abs(rest[1]);
+  const v = new THREE.Vector3();
+  return Math.abs(normalizedBone(vrm, VRMHumanBoneName.Hips).getWorldPosition(v).y - vrm.scene.getWorldPosition(v).y);
+}
+
+/** Retarget the Mixamo clip in a loaded FBX `asset` onto `vrm`. */
+export function retargetMixamoClip(asset, vrm, name = "mixamo") {
+  const source = THREE.AnimationClip.findByName(asset.animations, "mixamo.com") || asset.animations[0];
+  if (!source) throw new Error("This FBX file has no animation.");
+  const nodes = new Map();
+  asset.traverse((o) => { if (o.isBone) nodes.set(mixamoKey(o.name), o); });
+  const hips = nodes.get("mixamorigHips");
+  if (!hips) throw new Error("This doesn't look like a Mixamo rig (no mixamorig:Hips bone).");
+
+  asset.updateMatrixWorld(true);
+  const vrm0 = vrm.meta?.metaVersion === "0";
+  const hipsScale = vrmHipsHeight(vrm) / Math.abs(hips.position.y || 1);
+  const restInverse = new THREE.Quaternion();
+  const parentRest = new THREE.Quaternion();
+  const q = new THREE.Quaternion();
+
+  const tracks = [];
+  source.tracks.forEach((track) => {
+    const [rigName, property] = track.name.split(".");
+    const boneName = MIXAMO_VRM_BONES[mixamoKey(rigName)];
+    const target = boneName && normalizedBone(vrm, boneName);
+    const rigNode = nodes.get(mixamoKey(rigName));
+    if (!target || !rigNode) return;
+
+    if (track instanceof THREE.QuaternionKeyframeTrack) {
+      rigNode.getWorldQuaternion(restInverse).invert();
+      rigNode.parent.getWorldQuaternion(parentRest);
+      const values = new Float32Array(track.values.length);
+      for (let i = 0; i < values.length; i += 4) {
+        q.fromArray(track.values, i).premultiply(parentRest).multiply(restInverse);
+        q.toArray(values, i);
+        if (vrm0) { values[i] = -values[i]; values[i + 2] = -values[i + 2]; }
+      }
+      tracks.push(new THREE.QuaternionKeyframeTrack(`${target.name}.${property}`, track.times, values));
+    } else if (track instanceof THREE.VectorKeyframeTrack && boneName === VRMHumanBoneName.Hips) {
+      const values = track.values.map((v, i) => (vrm0 && i % 3 !== 1 ? -v : v) * hipsScale);
+      tracks.push(new THREE.VectorKeyframeTrack(`${target.name}.${property}`, track.times, values));
+    }
+  });
+  if (!tracks.length) throw new Error("None of this animation's bones match the avatar.");
+  return new THREE.AnimationClip(name, source.duration, tracks);
+}
+
+/** Load a Mixamo FBX (URL or object URL) as a clip for `vrm`. */
+export async function loadMixamoClip(url, vrm, name) {
+  const asset = await new FBXLoader().loadAsync(url);
+  return retargetMixamoClip(asset, vrm, name);
+}
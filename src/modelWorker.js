@@ -0,0 +1,82 @@
+// src/modelWorker.js
+// Client side of the on-device model workers (whisperWorker.js, ttsWorker.js):
+// one lazily started worker per engine, request ids matched to promises, one
+// request at a time, and the model's download/ready state broadcast for the UI.
+// The worker side of the protocol lives in workerPipeline.js.
+
+/**
+ * `spawn` creates the worker; it has to be a literal `new Worker(new URL(...))`
+ * in the calling module so webpack bundles the right file.
+ */
+export function createModelWorker(spawn, label) {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map();         // id -> { resolve, reject, onPartial }
+  const statusListeners = new Set(); // model download / ready state for the UI
+  let status = { state: "idle", progress: 0 };
+
+  const setStatus = (next) => {
+    status = { ...status, ...next };
+    statusListeners.forEach((fn) => fn(status));
+  };
+
+  function getWorker() {
+    if (worker) return worker;
+    worker = spawn();
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === "progress") {
+        if (msg.status === "progress" && typeof msg.progress === "number") {
+          setStatus({ state: "downloading", progress: Math.round(msg.progress), file: msg.file });
+        }
+      } else if (msg.type === "ready") {
+        setStatus({ state: "ready", progress: 100 });
+      } else if (msg.type === "partial") {
+        pending.get(msg.id)?.onPartial?.(msg);
+      } else if (msg.type === "result") {
+        setStatus({ state: "ready", progress: 100 });
+        pending.get(msg.id)?.resolve(msg);
+        pending.delete(msg.id);
+      } else if (msg.type === "error") {
+        if (msg.id == null) setStatus({ state: "error", error: msg.message });
+        pending.get(msg.id)?.reject(new Error(msg.message));
+        pending.delete(msg.id);
+      }
+    };
+    worker.onerror = (e) => {
+      setStatus({ state: "error", error: e?.message || `${label} worker crashed` });
+      pending.forEach((p) => p.reject(new Error(`${label} worker crashed`)));
+      pending.clear();
+      worker = null;
+    };
+    return worker;
+  }
+
+  function subscribe(fn) {
+    statusListeners.add(fn);
+    fn(status);
+    return () => statusListeners.delete(fn);
+  }
+
+  // Start downloading/compiling the model before the first request
+  function preload(model) {
+    if (status.state === "ready" || status.state === "loading" || status.state === "downloading") return;
+    setStatus({ state: "loading", progress: 0, error: null });
+    getWorker().postMessage({ type: "load", model });
+  }
+
+  // Requests run in order, one at a time (the worker is single-threaded anyway);
+  // resolves with the worker's "result" message
+  let queue = Promise.resolve();
+  function request(type, payload, { transfer = [], onPartial } = {}) {
+    const run = queue.then(() => new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject, onPartial });
+      getWorker().postMessage({ type, id, ...payload }, transfer);
+    }));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { subscribe, preload, request };
+}
@@ -0,0 +1,34 @@
+// src/neuralTTS.js
+// On-device neural voice: sentences are synthesized by src/ttsWorker.js and come
+// back as AudioBuffers ready for WebAudio playback. Offered as an extra entry
+// (NEURAL_VOICE) in the TTS voice list, for devices whose system voices are
+// robotic or missing.
+import { getAudioContext } from "./audioLipSync";
+import { createModelWorker } from "./modelWorker";
+
+export const NEURAL_TTS_MODEL = process.env.REACT_APP_TTS_MODEL || "Xenova/mms-tts-eng";
+export const NEURAL_VOICE = "neural:on-device";
+export const NEURAL_VOICE_LABEL = "On-device neural voice (private)";
+
+export const canRunNeuralTTS = () =>
+  typeof window !== "undefined" &&
+  typeof window.Worker !== "undefined" &&
+  !!(window.AudioContext || window.webkitAudioContext);
+
+// ---------- shared worker ----------
+const tts = createModelWorker(() => new Worker(new URL("./ttsWorker.js", import.meta.url)), "TTS");
+
+export const subscribeNeuralTTSStatus = tts.subscribe;
+
+// Start downloading the model as soon as the voice is picked
+export const preloadNeuralTTS = (model = NEURAL_TTS_MODEL) => tts.preload(model);
+
+/** Synthesize `text` → AudioBuffer on the shared AudioContext. */
+export function synthesizeSpeech(text) {
+  return tts.request("synthesize", { text, model: NEURAL_TTS_MODEL }).then(({ audio, sampleRate }) => {
+    const ctx = getAudioContext();
+    const buf = ctx.createBuffer(1, audio.length, sampleRate);
+    buf.copyToChannel(audio, 0);
+    return buf;
+  });
+}
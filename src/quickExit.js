@@ -0,0 +1,62 @@
+// src/quickExit.js
+// Quick exit: hide the app instantly on a shared device. Stops speech, lets every
+// mounted mode wipe its in-memory conversation, clears browser storage, and
+// replaces the current history entry with a neutral site (Back won't return here).
+import { useEffect, useRef } from "react";
+import { flushSync } from "react-dom";
+
+export const QUICK_EXIT_URL = process.env.REACT_APP_QUICK_EXIT_URL || "https://www.google.com/search?q=weather";
+export const ESCAPE_PRESSES = 3;
+export const ESCAPE_WINDOW_MS = 1200;
+// Width (px) the fixed button covers at the top right; what sits under it keeps clear
+export const QUICK_EXIT_GUTTER = 128;
+
+const cleanups = new Set();
+
+// Register a function that drops component state on quick exit; returns an unregister fn
+export function onQuickExit(fn) {
+  cleanups.add(fn);
+  return () => cleanups.delete(fn);
+}
+
+// Hook form of onQuickExit; always calls the latest `fn`
+export function useQuickExitCleanup(fn) {
+  const ref = useRef(fn);
+  ref.current = fn;
+  useEffect(() => onQuickExit(() => ref.current()), []);
+}
+
+export function wipeStoredData() {
+  try { sessionStorage.clear(); } catch {}
+  try { localStorage.clear(); } catch {}
+}
+
+const defaultNavigate = (url) => window.location.replace(url);
+
+export function quickExit({ url = QUICK_EXIT_URL, navigate = defaultNavigate } = {}) {
+  try { window.speechSynthesis?.cancel(); } catch {}
+  // render the cleared state right away, before the page goes
+  flushSync(() => {
+    cleanups.forEach((fn) => {
+      try { fn(); } catch (e) { console.warn("quick-exit cleanup failed", e); }
+    });
+  });
+  // after cleanups, in case one of them persisted something on the way out
+  wipeStoredData();
+  try {
+    document.title = "New Tab";
+    window.history.replaceState(null, "", "/");
+  } catch {}
+  navigate(url);
+}
+
+// Counts Escape presses; returns true when `presses` land within `windowMs`
+export function createEscapeCounter({ presses = ESCAPE_PRESSES, windowMs = ESCAPE_WINDOW_MS } = {}) {
+  let times = [];
+  return (now = performance.now()) => {
+    times = [...times.filter((t) => now - t < windowMs), now];
+    if (times.length < presses) return false;
+    times = [];
+    return true;
+  };
+}
@@ -0,0 +1,82 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { useEffect } from "react";
+import { useConversation } from "./conversation";
+import TranscriptView from "./TranscriptView";
+import MessageComposer from "./MessageComposer";
+import QuickExitButton from "./QuickExitButton";
+import { createEscapeCounter, useQuickExitCleanup, QUICK_EXIT_URL } from "./quickExit";
+
+const SECRET = "I have been thinking about ending it";
+
+// A minimal mode: transcript + composer, wiped through the same hook the real modes use
+function Harness() {
+  const conversation = useConversation();
+  useEffect(() => {
+    conversation.addTurn("user", SECRET);
+    conversation.addTurn("assistant", "Thank you for telling me.");
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+  useQuickExitCleanup(() => conversation.reset());
+  return (
+    <>
+      <TranscriptView turns={conversation.turns} />
+      <MessageComposer onSend={() => {}} replyWithSpeech onReplyWithSpeechChange={() => {}} />
+    </>
+  );
+}
+
+const storageText = () =>
+  [sessionStorage, localStorage]
+    .flatMap((s) => Object.keys(s).map((k) => `${k}=${s.getItem(k)}`))
+    .join("\n");
+
+function setup() {
+  const navigate = jest.fn();
+  render(
+    <>
+      <QuickExitButton navigate={navigate} />
+      <Harness />
+    </>
+  );
+  fireEvent.change(screen.getByLabelText("Message"), { target: { value: "a draft I never sent" } });
+  localStorage.setItem("crisisRegion", "GB");
+  return navigate;
+}
+
+function expectNothingLeft(navigate) {
+  expect(navigate).toHaveBeenCalledWith(QUICK_EXIT_URL);
+  expect(document.body.textContent).not.toMatch(/ending it|Thank you for telling me|a draft I never sent/);
+  expect(screen.getByLabelText("Message")).toHaveValue("");
+  expect(storageText()).not.toMatch(/ending it|Thank you|crisisRegion/);
+}
+
+beforeEach(() => {
+  sessionStorage.clear();
+  localStorage.clear();
+});
+
+test("quick exit button clears the transcript, drafts and storage, then leaves", () => {
+  const navigate = setup();
+  expect(screen.getByText(SECRET)).toBeInTheDocument();
+  expect(storageText()).toMatch(/ending it/);
+
+  fireEvent.click(screen.getByRole("button", { name: /quick exit/i }));
+  expectNothingLeft(navigate);
+});
+
+test("pressing Escape three times quickly triggers quick exit", () => {
+  const navigate = setup();
+  fireEvent.keyDown(window, { key: "Escape" });
+  fireEvent.keyDown(window, { key: "Escape" });
+  expect(navigate).not.toHaveBeenCalled();
+  expect(screen.getByText(SECRET)).toBeInTheDocument();
+
+  fireEvent.keyDown(window, { key: "Escape" });
+  expectNothingLeft(navigate);
+});
+
+test("Escape presses spread out over time don't count", () => {
+  const pressed = createEscapeCounter({ presses: 3, windowMs: 1000 });
+  expect([pressed(0), pressed(600), pressed(1300)]).toEqual([false, false, false]);
+  expect(pressed(1500)).toBe(true);
+  expect(pressed(1600)).toBe(false); // counting starts over after an exit
+});
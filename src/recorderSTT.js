@@ -0,0 +1,279 @@
+// src/recorderSTT.js
+// Fallback recognizers for browsers without SpeechRecognition (Safari/iOS, Firefox).
+// They record the mic with MediaRecorder, cut it into utterances on silence, and
+// transcribe each one. The public surface mimics SpeechRecognition
+// (start/stop/abort + onstart/onresult/onerror/onend) so callers can swap them in.
+import { EnergyVAD, acquireMicStream, rmsOf } from "./voiceActivity";
+
+const POLL_MS = 50;
+const MIN_SPEECH_MS = 250;      // shorter blips are dropped
+const MAX_UTTERANCE_MS = 28000; // keep each upload under Whisper's 30 s window
+const IDLE_RESTART_MS = 8000;   // trim leading silence while nobody talks
+
+const PREFERRED_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+export const canRecordAudio = () =>
+  typeof window !== "undefined" &&
+  typeof window.MediaRecorder !== "undefined" &&
+  !!navigator.mediaDevices?.getUserMedia;
+
+const pickMimeType = () =>
+  PREFERRED_TYPES.find((t) => window.MediaRecorder.isTypeSupported?.(t)) || "";
+
+// One MediaRecorder capture; `release` (if set) drops the mic reference it holds
+function startRecorder(stream, mimeType) {
+  const chunks = [];
+  const rec = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  rec.ondataavailable = (e) => { if (e.data?.size) chunks.push(e.data); };
+  rec.start();
+  return { rec, chunks, startedAt: performance.now(), release: null };
+}
+
+function discardRecording(r) {
+  if (!r) return;
+  r.rec.ondataavailable = null;
+  try { if (r.rec.state !== "inactive") r.rec.stop(); } catch {}
+  r.release?.();
+  r.release = null;
+}
+
+// Same shape as a SpeechRecognitionEvent, enough for our onresult handlers
+const resultEvent = (transcript, isFinal) => ({
+  resultIndex: 0,
+  results: [Object.assign([{ transcript, confidence: 1 }], { isFinal })],
+});
+
+// ---------- base: mic capture + utterance segmentation ----------
+export class SegmentingRecognizer {
+  constructor() {
+    this.lang = "en-US";
+    this.interimResults = true;
+    this.continuous = true;
+    this.maxAlternatives = 1;
+    this.onstart = null;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+    this._running = false;
+  }
+
+  // Subclasses turn one recorded utterance into text
+  async transcribe(/* blob */) {
+    throw new Error("transcribe() not implemented");
+  }
+
+  // `preroll` (optional, set before start()): a PreRoll.take() recording that
+  // becomes the beginning of the first utterance
+  async start() {
+    if (this._running) return;
+    this._running = true;
+    const preroll = this.preroll;
+    this.preroll = null;
+    try {
+      this._mic = await acquireMicStream(); // shared with TalkingAvatar's VAD monitor
+      this._stream = this._mic.stream;
+    } catch (e) {
+      discardRecording(preroll);
+      this._fail("not-allowed", e?.message || "Microphone permission denied.");
+      return;
+    }
+    if (!this._running) { discardRecording(preroll); this._release(); return; } // aborted while waiting for permission
+
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    this._ctx = new Ctx();
+    const src = this._ctx.createMediaStreamSource(this._stream);
+    this._analyser = this._ctx.createAnalyser();
+    this._analyser.fftSize = 1024;
+    src.connect(this._analyser);
+    this._buf = new Float32Array(this._analyser.fftSize);
+    this._vad = new EnergyVAD({ attackMs: MIN_SPEECH_MS });
+    this._mimeType = pickMimeType();
+
+    this._beginSegment(preroll);
+    this._timer = setInterval(() => this._tick(), POLL_MS);
+    this.onstart?.();
+  }
+
+  // Finish the current utterance (if it has speech), then end
+  stop() {
+    if (!this._running) return;
+    this._running = false;
+    clearInterval(this._timer);
+    const done = this._endSegment(this._heardSpeech);
+    this._release();
+    Promise.resolve(done).finally(() => this.onend?.());
+  }
+
+  // Drop everything without transcribing
+  abort() {
+    if (!this._running) return;
+    this._running = false;
+    clearInterval(this._timer);
+    this._endSegment(false);
+    this._release();
+    this.onerror?.({ error: "aborted" });
+    this.onend?.();
+  }
+
+  // ---------- internals ----------
+  _tick() {
+    const now = performance.now();
+    const was = this._vad.speaking;
+    const speaking = this._vad.update(rmsOf(this._analyser, this._buf), POLL_MS, now);
+    if (speaking) this._heardSpeech = true;
+    const elapsed = now - this._segStart;
+
+    if (this._heardSpeech && ((was && !speaking) || elapsed > MAX_UTTERANCE_MS)) {
+      this._endSegment(true);
+      this._beginSegment();
+    } else if (!this._heardSpeech && !speaking && elapsed > IDLE_RESTART_MS) {
+      this._endSegment(false);
+      this._beginSegment();
+    }
+  }
+
+  _beginSegment(adopted) {
+    const live = adopted?.rec.state === "recording";
+    const seg = live ? adopted : startRecorder(this._stream, this._mimeType);
+    if (!live) discardRecording(adopted);
+    seg.release?.(); // our own mic reference keeps the stream alive now
+    this._rec = seg.rec;
+    this._chunks = seg.chunks;
+    this._segStart = seg.startedAt;
+    this._heardSpeech = live || this._vad.speaking; // a pre-roll is handed over mid-speech
+  }
+
+  // Stop the recorder; when `keep`, transcribe what it captured
+  _endSegment(keep) {
+    const rec = this._rec;
+    const chunks = this._chunks;
+    this._rec = null;
+    if (!rec || rec.state === "inactive") return null;
+    if (!keep) {
+      rec.ondataavailable = null;
+      try { rec.stop(); } catch {}
+      return null;
+    }
+    return new Promise((resolve) => {
+      rec.onstop = () => resolve(this._deliver(new Blob(chunks, { type: rec.mimeType || this._mimeType })));
+      try { rec.stop(); } catch { resolve(); }
+    });
+  }
+
+  async _deliver(blob) {
+    if (!blob.size) return;
+    try {
+      const text = (await this.transcribe(blob, (partial) => {
+        if (this.interimResults && partial) this.onresult?.(resultEvent(partial, false));
+      }))?.trim();
+      if (text) this.onresult?.(resultEvent(text, true));
+    } catch (e) {
+      if (!this._running) return;
+      this.onerror?.({ error: "network", message: e?.message || String(e) });
+      this.abortQuietly();
+    }
+  }
+
+  // After a transcription failure: stop like SpeechRecognition does (error, then end)
+  abortQuietly() {
+    if (!this._running) return;
+    this._running = false;
+    clearInterval(this._timer);
+    this._endSegment(false);
+    this._release();
+    this.onend?.();
+  }
+
+  _fail(error, message) {
+    this._running = false;
+    this._release();
+    this.onerror?.({ error, message });
+    this.onend?.();
+  }
+
+  _release() {
+    this._mic?.release();
+    try { this._ctx?.close(); } catch {}
+    this._mic = null;
+    this._stream = null;
+    this._ctx = null;
+  }
+}
+
+// ---------- pre-roll ----------
+// Records the (shared) mic while the recognizer is stopped for the avatar's speech,
+// so a barge-in keeps what the user said before recognition restarted: the next
+// recognizer takes the recording as the start of its first utterance. Two
+// staggered recorders always hold between PREROLL_MS / 2 and PREROLL_MS of audio
+// (echo cancellation keeps most of the avatar's voice out of it).
+const PREROLL_MS = 3000;
+
+export class PreRoll {
+  async start() {
+    if (this._running) return;
+    this._running = true;
+    this._recs = [];
+    let mic = null;
+    try { mic = await acquireMicStream(); } catch {}
+    if (!this._running || !mic) { mic?.release(); this._running = false; return; }
+    this._mic = mic;
+    this._mimeType = pickMimeType();
+    this._spawn();
+    this._timer = setInterval(() => this._spawn(), PREROLL_MS / 2);
+  }
+
+  _spawn() {
+    const now = performance.now();
+    this._recs = this._recs.filter((r) => {
+      if (now - r.startedAt < PREROLL_MS) return true;
+      discardRecording(r);
+      return false;
+    });
+    this._recs.push(startRecorder(this._mic.stream, this._mimeType));
+  }
+
+  /** The longest running recording (it keeps a mic reference until adopted or discarded); null if none. Stops the pre-roll. */
+  take() {
+    const [oldest, ...rest] = this._recs || [];
+    rest.forEach(discardRecording);
+    this._recs = [];
+    if (oldest && this._mic) {
+      oldest.release = this._mic.release;
+      this._mic = null;
+    }
+    this.stop();
+    return oldest || null;
+  }
+
+  stop() {
+    this._running = false;
+    clearInterval(this._timer);
+    (this._recs || []).forEach(discardRecording);
+    this._recs = [];
+    this._mic?.release();
+    this._mic = null;
+  }
+}
+
+export const discardPreRoll = discardRecording;
+
+// ---------- server Whisper (/api/asr, see src/server.js) ----------
+export class ServerRecognizer extends SegmentingRecognizer {
+  constructor(url) {
+    super();
+    this.url = url;
+  }
+
+  async transcribe(blob) {
+    const ext = /mp4/.test(blob.type) ? "mp4" : /ogg/.test(blob.type) ? "ogg" : "webm";
+    const fd = new FormData();
+    fd.append("file", blob, `utterance.${ext}`);
+    fd.append("language", (this.lang || "en").split("-")[0]);
+    const res = await fetch(this.url, { method: "POST", body: fd });
+    const j = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(`ASR ${res.status}${j?.error?.code ? ` ${j.error.code}` : ""} – ${j?.error?.message || res.statusText}`);
+    }
+    return j?.text || "";
+  }
+}
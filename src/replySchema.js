@@ -0,0 +1,111 @@
+// src/replySchema.js
+// Versioned reply payload from /chat_llm/send:
+// {
+//   "version": 1,
+//   "message": "text to show and speak",
+//   "risk_level": "none" | "low" | "moderate" | "high" | "imminent",
+//   "suggested_actions": [{ "type": "reply" | "exercise" | "safety_plan" | "resources" | "link", "label": "...", "value": "..." }],
+//   "resources": [{ "name": "...", "kind": "call" | "text" | "chat", "number": "...", "url": "...", "display": "...", "body": "...", "hours": "..." }],
+//   "emotion": "neutral" | "happy" | "sad" | "relaxed" | "surprised" | "angry",
+//   "end_session": false,
+//   "audio_url": "https://… or /path – server TTS of `message`, optional"
+// }
+// Anything that doesn't validate is dropped (with a warning) rather than failing the
+// reply; a raw string or a legacy { message } / { payload } body is just the message.
+import { RISK_LEVELS } from "./crisisDetector";
+
+export const REPLY_SCHEMA_VERSION = 1;
+export const REPLY_EMOTIONS = ["neutral", "happy", "sad", "relaxed", "surprised", "angry"];
+export const ACTION_TYPES = ["reply", "exercise", "safety_plan", "resources", "link"];
+const RESOURCE_KINDS = ["call", "text", "chat"];
+
+const isStr = (x) => typeof x === "string" && x.trim() !== "";
+const optStr = (x) => (isStr(x) ? x.trim() : undefined);
+
+const emptyReply = (message = "") => ({
+  version: 0,
+  message,
+  risk_level: null,
+  suggested_actions: [],
+  resources: [],
+  emotion: null,
+  end_session: false,
+  action: null,
+  exercise: null,
+  audio_url: null,
+  warnings: [],
+});
+
+function readAction(a) {
+  if (isStr(a)) return { type: "reply", label: a.trim(), value: a.trim() };
+  if (!a || typeof a !== "object" || !isStr(a.label)) return null;
+  const type = a.type ?? "reply";
+  if (!ACTION_TYPES.includes(type)) return null;
+  const value = optStr(a.value) ?? optStr(a.url) ?? (type === "reply" ? a.label.trim() : undefined);
+  // check the very string that becomes the href
+  if (type === "link" && !/^https:\/\//i.test(value ?? "")) return null;
+  return { type, label: a.label.trim(), value };
+}
+
+function readResource(r) {
+  if (!r || typeof r !== "object" || !isStr(r.name)) return null;
+  const kind = r.kind ?? (r.url ? "chat" : "call");
+  if (!RESOURCE_KINDS.includes(kind)) return null;
+  if (kind === "chat" ? !/^https:\/\//i.test(r.url ?? "") : !isStr(r.number)) return null;
+  const out = { name: r.name.trim(), kind };
+  ["number", "url", "display", "body", "hours"].forEach((k) => {
+    const v = optStr(r[k]);
+    if (v) out[k] = v;
+  });
+  return out;
+}
+
+// Keep the valid items of a list field, noting how many were dropped
+function readList(value, read, field, warnings) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) {
+    warnings.push(`${field} is not a list`);
+    return [];
+  }
+  const items = value.map(read).filter(Boolean);
+  if (items.length < value.length) warnings.push(`${value.length - items.length} invalid ${field} dropped`);
+  return items;
+}
+
+/**
+ * Normalize a reply (response text or already-parsed object) to the shape above,
+ * plus `version` (0 for unversioned replies) and `warnings` (what was dropped).
+ */
+export function parseReply(raw) {
+  let j = raw;
+  if (typeof raw === "string") {
+    try { j = JSON.parse(raw); } catch { return emptyReply(raw); }
+  }
+  if (typeof j === "string") return emptyReply(j);
+  if (!j || typeof j !== "object" || Array.isArray(j)) return emptyReply(typeof raw === "string" ? raw : "");
+
+  const reply = emptyReply(String(j.message ?? j.payload ?? ""));
+  const w = reply.warnings;
+  reply.version = Number.isInteger(j.version) ? j.version : 0;
+  if (reply.version > REPLY_SCHEMA_VERSION) w.push(`unknown version ${j.version}, reading known fields`);
+
+  if (j.risk_level != null) {
+    if (RISK_LEVELS.includes(j.risk_level)) reply.risk_level = j.risk_level;
+    else w.push(`bad risk_level ${JSON.stringify(j.risk_level)}`);
+  }
+  if (j.emotion != null) {
+    if (REPLY_EMOTIONS.includes(j.emotion)) reply.emotion = j.emotion;
+    else w.push(`bad emotion ${JSON.stringify(j.emotion)}`);
+  }
+  reply.suggested_actions = readList(j.suggested_actions, readAction, "suggested_actions", w);
+  reply.resources = readList(j.resources, readResource, "resources", w);
+  reply.end_session = j.end_session === true;
+  if (j.audio_url != null) {
+    if (isStr(j.audio_url) && /^(https:\/\/|\/(?!\/)|data:audio\/)/i.test(j.audio_url.trim())) reply.audio_url = j.audio_url.trim();
+    else w.push("bad audio_url");
+  }
+  // older hint: { action: "breathing", exercise: "box" }
+  reply.action = optStr(j.action) ?? null;
+  reply.exercise = optStr(j.exercise) ?? null;
+  return reply;
+}
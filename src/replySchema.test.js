@@ -0,0 +1,68 @@
+import { parseReply } from "./replySchema";
+
+test("raw strings and legacy bodies degrade to a plain message", () => {
+  expect(parseReply("Hello there.")).toMatchObject({ version: 0, message: "Hello there.", suggested_actions: [], end_session: false });
+  expect(parseReply('{"message":"Hi"}')).toMatchObject({ message: "Hi", risk_level: null, emotion: null });
+  expect(parseReply('{"payload":"From payload"}').message).toBe("From payload");
+  expect(parseReply("[1,2]").message).toBe("[1,2]");
+});
+
+test("a full v1 reply is read field by field", () => {
+  const reply = parseReply({
+    version: 1,
+    message: "I'm here with you.",
+    risk_level: "high",
+    emotion: "sad",
+    suggested_actions: [
+      "Tell me more",
+      { type: "exercise", label: "Breathe with me", value: "box" },
+      { type: "link", label: "Read more", url: "https://example.org/help" },
+    ],
+    resources: [{ name: "988 Lifeline", kind: "call", number: "988" }],
+    end_session: true,
+  });
+  expect(reply).toMatchObject({ version: 1, risk_level: "high", emotion: "sad", end_session: true, warnings: [] });
+  expect(reply.suggested_actions).toEqual([
+    { type: "reply", label: "Tell me more", value: "Tell me more" },
+    { type: "exercise", label: "Breathe with me", value: "box" },
+    { type: "link", label: "Read more", value: "https://example.org/help" },
+  ]);
+  expect(reply.resources).toEqual([{ name: "988 Lifeline", kind: "call", number: "988" }]);
+});
+
+test("invalid fields are dropped with warnings instead of failing the reply", () => {
+  const reply = parseReply({
+    version: 1,
+    message: "Okay.",
+    risk_level: "extreme",
+    emotion: "smug",
+    suggested_actions: [
+      { type: "teleport", label: "Go" },
+      { label: "" },
+      // eslint-disable-next-line no-script-url
+      { type: "link", label: "x", url: "javascript:alert(1)" },
+    ],
+    resources: "call someone",
+    end_session: "yes",
+  });
+  expect(reply).toMatchObject({ message: "Okay.", risk_level: null, emotion: null, suggested_actions: [], resources: [], end_session: false });
+  expect(reply.warnings).toHaveLength(4);
+});
+
+test("a link is checked on the same field it is emitted from", () => {
+  const { suggested_actions } = parseReply({
+    message: "Hi",
+    suggested_actions: [
+      { type: "link", label: "Mixed", url: "https://ok.example", value: "http://evil.example" },
+      { type: "link", label: "Url only", url: "https://ok.example" },
+    ],
+  });
+  expect(suggested_actions).toEqual([{ type: "link", label: "Url only", value: "https://ok.example" }]);
+});
+
+test("audio_url accepts https, same-origin paths and data:audio only", () => {
+  expect(parseReply({ message: "Hi", audio_url: "https://tts.example.org/a.mp3" }).audio_url).toBe("https://tts.example.org/a.mp3");
+  expect(parseReply({ message: "Hi", audio_url: "/tts/123.wav" }).audio_url).toBe("/tts/123.wav");
+  const bad = parseReply({ message: "Hi", audio_url: "//evil.example/a.mp3" });
+  expect(bad).toMatchObject({ audio_url: null, warnings: ["bad audio_url"] });
+});
@@ -0,0 +1,202 @@
+// src/safetyPlan.js
+// Stanley-Brown style safety plan: the steps, on-device storage, and a
+// printable export (the browser's print dialog also offers "Save as PDF").
+// The plan is AES-GCM encrypted, but the key sits in the same IndexedDB, so this
+// only keeps it out of plain-text disk dumps: anyone who opens the site in this
+// browser can read it. The UI says so and offers to delete it on quick exit.
+
+export const SAFETY_PLAN_STEPS = [
+  {
+    id: "warningSigns",
+    title: "Warning signs",
+    prompt: "What thoughts, feelings, or situations tell you that a crisis might be starting?",
+    hint: "e.g. not sleeping, pulling away from people, feeling trapped",
+  },
+  {
+    id: "copingStrategies",
+    title: "Things I can do on my own",
+    prompt: "What can you do on your own to take your mind off things, like going for a walk, listening to music, or taking a shower?",
+    hint: "e.g. a walk, a playlist, a shower, drawing",
+  },
+  {
+    id: "distractions",
+    title: "People and places that take my mind off things",
+    prompt: "Which people or places help you feel a bit better or take your mind off things?",
+    hint: "e.g. a friend's place, the park, a café, the gym",
+  },
+  {
+    id: "helpers",
+    title: "People I can ask for help",
+    prompt: "Who could you reach out to and tell that you're struggling? A name and a number helps.",
+    hint: "e.g. Sam – 555 0123",
+  },
+  {
+    id: "professionals",
+    title: "Professionals and crisis services",
+    prompt: "Which professionals or services could you contact, like your doctor, a therapist, or a crisis line?",
+    hint: "e.g. Dr. Lee – 555 0100, local crisis line",
+  },
+  {
+    id: "safeEnvironment",
+    title: "Making my environment safe",
+    prompt: "What could you do to make your surroundings safer, like putting away or handing over things you could use to hurt yourself?",
+    hint: "e.g. ask someone to hold onto medication",
+  },
+];
+
+export const emptySafetyPlan = () => ({
+  version: 1,
+  steps: Object.fromEntries(SAFETY_PLAN_STEPS.map((s) => [s.id, []])),
+  updatedAt: null,
+});
+
+export const isSafetyPlanEmpty = (plan) =>
+  !plan || Object.values(plan.steps).every((items) => !items.length);
+
+// ---------- voice guide ----------
+// Whole-utterance commands only, so "my sister lives next door" stays an answer
+const COMMANDS = [
+  ["stop", /^(stop|cancel|quit|exit|that's all|i'm done|done for now)$/],
+  ["next", /^(next|skip|move on|go on|continue|next step|nothing( else)?|no(pe)?|that's it)$/],
+  ["back", /^(back|go back|previous|previous step)$/],
+  ["repeat", /^(repeat|say that again|what was the question|again)$/],
+];
+
+export function parseGuideCommand(text) {
+  const t = String(text || "")
+    .toLowerCase()
+    .replace(/[.,!?]/g, "")
+    .replace(/^(ok(ay)?|um+|uh+|so|please)\s+/, "")
+    .replace(/\s+(please|thanks|thank you)$/, "")
+    .trim();
+  const hit = COMMANDS.find(([, re]) => re.test(t));
+  return hit ? hit[0] : null;
+}
+
+// ---------- encrypted IndexedDB storage ----------
+const DB_NAME = "safety-plan";
+const STORE = "kv";
+
+export const canStoreSafetyPlan = () =>
+  typeof indexedDB !== "undefined" && typeof crypto !== "undefined" && !!crypto.subtle;
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+const idbGet = (key) => withStore("readonly", (s) => s.get(key));
+const idbPut = (key, value) => withStore("readwrite", (s) => s.put(value, key));
+
+// The key can be used by this origin but never read out. That stops the key
+// being copied off the device, not this browser's other users from opening the plan.
+async function getKey() {
+  const existing = await idbGet("key");
+  if (existing) return existing;
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+  await idbPut("key", key);
+  return key;
+}
+
+export async function saveSafetyPlan(plan) {
+  const key = await getKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plain = new TextEncoder().encode(JSON.stringify(plan));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain);
+  await idbPut("plan", { v: 1, iv, data });
+}
+
+// Resolves with the saved plan, or null when there is none
+export async function loadSafetyPlan() {
+  const rec = await idbGet("plan");
+  if (!rec) return null;
+  const key = await getKey();
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: rec.iv }, key, rec.data);
+  const saved = JSON.parse(new TextDecoder().decode(plain));
+  const plan = emptySafetyPlan();
+  SAFETY_PLAN_STEPS.forEach(({ id }) => {
+    if (Array.isArray(saved.steps?.[id])) plan.steps[id] = saved.steps[id].map(String);
+  });
+  plan.updatedAt = saved.updatedAt ?? null;
+  return plan;
+}
+
+// Whether quick exit also deletes the saved plan. Kept next to the plan rather
+// than in localStorage, which quick exit clears.
+export async function loadDeleteOnQuickExit() {
+  return (await idbGet("deleteOnQuickExit")) === true;
+}
+
+export const saveDeleteOnQuickExit = (on) => idbPut("deleteOnQuickExit", !!on);
+
+export function deleteSafetyPlan() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(DB_NAME);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => resolve(); // finishes once other tabs close it
+  });
+}
+
+// ---------- export ----------
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+export function safetyPlanToHtml(plan, { title = "My Safety Plan", emergency } = {}) {
+  const sections = SAFETY_PLAN_STEPS.map((step, i) => {
+    const items = plan.steps[step.id] || [];
+    const body = items.length
+      ? `<ul>${items.map((t) => `<li>${escapeHtml(t)}</li>`).join("")}</ul>`
+      : `<div class="blank"></div><div class="blank"></div>`;
+    return `<section><h2>Step ${i + 1}: ${escapeHtml(step.title)}</h2>${body}</section>`;
+  }).join("");
+  const footer = emergency
+    ? `<p class="emergency">In an emergency, call ${escapeHtml(emergency)}.</p>`
+    : "";
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  h1 { font-size: 1.6rem; margin-bottom: .25rem; }
+  h2 { font-size: 1.1rem; margin: 1.25rem 0 .4rem; }
+  section { page-break-inside: avoid; }
+  li { margin: .2rem 0; }
+  .blank { border-bottom: 1px solid #999; height: 1.6rem; }
+  .muted { color: #666; font-size: .9rem; }
+  .emergency { margin-top: 2rem; font-weight: 600; }
+</style></head><body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">${plan.updatedAt ? `Updated ${escapeHtml(new Date(plan.updatedAt).toLocaleDateString())}` : ""}</p>
+${sections}${footer}
+</body></html>`;
+}
+
+// Opens the plan in a new window and starts printing; false if pop-ups are blocked
+export function printSafetyPlan(plan, opts) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.open();
+  w.document.write(safetyPlanToHtml(plan, opts));
+  w.document.close();
+  w.focus();
+  setTimeout(() => w.print(), 250);
+  return true;
+}
@@ -0,0 +1,22 @@
+import { emptySafetyPlan, parseGuideCommand, safetyPlanToHtml } from "./safetyPlan";
+
+test("only whole-utterance guide commands are treated as commands", () => {
+  expect(parseGuideCommand("Next.")).toBe("next");
+  expect(parseGuideCommand("okay, move on please")).toBe("next");
+  expect(parseGuideCommand("No.")).toBe("next");
+  expect(parseGuideCommand("go back")).toBe("back");
+  expect(parseGuideCommand("Can you repeat")).toBe(null);
+  expect(parseGuideCommand("stop")).toBe("stop");
+  expect(parseGuideCommand("my sister lives next door")).toBe(null);
+  expect(parseGuideCommand("I stop eating")).toBe(null);
+});
+
+test("printable plan escapes what the user typed and leaves blanks for empty steps", () => {
+  const plan = emptySafetyPlan();
+  plan.steps.helpers = ["Sam <3 – 555 0123"];
+  const html = safetyPlanToHtml(plan, { emergency: "911" });
+  expect(html).toContain("<li>Sam &lt;3 – 555 0123</li>");
+  expect(html).toContain("Step 4: People I can ask for help");
+  expect(html.match(/class="blank"/g)).toHaveLength(10);
+  expect(html).toContain("In an emergency, call 911.");
+});
@@ -1,56 +1,239 @@
-// // server.js
-// require("dotenv").config();
-// const express = require("express");
-// const multer = require("multer");
-// const cors = require("cors");
-
-// // ⬇️ Xenova/transformers runs Whisper locally (WASM/ONNX)
-// const { pipeline } = require("@xenova/transformers");
-
-// const app = express();
-// const upload = multer({ storage: multer.memoryStorage() });
-// app.use(cors());
-
-// // Lazy-load the ASR pipeline once (model downloaded on first call and cached)
-// let asr = null;
-// async function getASR() {
-//   if (!asr) {
-//     // Choose a model: small.en is fast+accurate for English
-//     const modelId = process.env.WHISPER_MODEL || "Xenova/whisper-small.en";
-//     // device: 'auto' (WASM/CPU). Node doesn’t have WebGPU yet.
-//     asr = await pipeline("automatic-speech-recognition", modelId, { quantized: true });
-//   }
-//   return asr;
-// }
-
-// // POST /api/asr  -> returns { text }
-// app.post("/api/asr", upload.single("file"), async (req, res) => {
-//   try {
-//     if (!req.file) return res.status(400).json({ error: "No audio file uploaded" });
-
-//     const asr = await getASR();
-
-//     // transformers expects a Float32Array/AudioBuffer or a typed array; it also accepts raw bytes
-//     // We'll pass the raw buffer and hint the mime type to help decoding.
-//     const result = await asr(req.file.buffer, {
-//       // optional hints:
-//       // chunk_length_s: 30,
-//       // stride_length_s: 5,
-//       // language: "en",
-//       // task: "transcribe",
-//       return_timestamps: false,
-//     });
-
-//     // result can be { text: "...", chunks: [...] } depending on model/options
-//     const text = typeof result?.text === "string" ? result.text : "";
-//     res.json({ text });
-//   } catch (err) {
-//     console.error(err);
-//     res.status(500).json({ error: err?.message || "ASR failed" });
-//   }
-// });
-
-// const PORT = process.env.PORT || 3001;
-// app.listen(PORT, () => console.log(`ASR server listening at http://localhost:${PORT}`));
-
-// // npm i express multer cors dotenv @xenova/transformers
+// server.js
+// Local Whisper speech-to-text for browsers without SpeechRecognition.
+// Run with: npm run asr-server   (listens on PORT, default 3001)
+require("dotenv").config();
+const { spawn } = require("child_process");
+const express = require("express");
+const multer = require("multer");
+const cors = require("cors");
+
+const PORT = process.env.PORT || 3001;
+const MODEL_ID = process.env.WHISPER_MODEL || "Xenova/whisper-small.en";
+const MULTILINGUAL = !/\.en$/.test(MODEL_ID);
+const MAX_UPLOAD_MB = Number(process.env.ASR_MAX_UPLOAD_MB || 25);
+const MAX_SECONDS = Number(process.env.ASR_MAX_SECONDS || 600);
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const SAMPLE_RATE = 16000; // what Whisper expects
+const CHUNK_S = 30;        // Whisper's native window
+const STRIDE_S = 5;        // overlap between windows for long audio
+
+const app = express();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+});
+app.use(cors(process.env.CORS_ORIGIN ? { origin: process.env.CORS_ORIGIN.split(",") } : undefined));
+
+// ---------- errors ----------
+class AsrError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ---------- ASR pipeline (lazy, loaded on first request) ----------
+let asrPromise = null;
+function getASR() {
+  if (!asrPromise) {
+    asrPromise = (async () => {
+      // @xenova/transformers is ESM-only; Whisper runs on CPU via ONNX/WASM
+      const { pipeline } = await import("@xenova/transformers");
+      console.log(`Loading ${MODEL_ID}…`);
+      return pipeline("automatic-speech-recognition", MODEL_ID, { quantized: true });
+    })().catch((err) => {
+      asrPromise = null; // allow a retry on the next request
+      throw new AsrError(503, "MODEL_LOAD_FAILED", `Could not load ${MODEL_ID}: ${err?.message || err}`);
+    });
+  }
+  return asrPromise;
+}
+
+// One transcription at a time; the model is CPU bound anyway
+let busy = Promise.resolve();
+function runExclusive(fn) {
+  const run = busy.then(fn);
+  busy = run.catch(() => {});
+  return run;
+}
+
+// ---------- audio decoding → mono Float32 @ 16 kHz ----------
+function sniffContainer(buf) {
+  const tag = (start, end) => buf.toString("latin1", start, end);
+  if (buf.length < 12) return null;
+  if (tag(0, 4) === "RIFF" && tag(8, 12) === "WAVE") return "wav";
+  if (tag(0, 4) === "OggS") return "ogg";
+  if (buf.readUInt32BE(0) === 0x1a45dfa3) return "webm"; // EBML (webm / matroska)
+  if (tag(4, 8) === "ftyp") return "mp4";                // Safari's MediaRecorder
+  return null;
+}
+
+function resample(input, fromRate) {
+  if (fromRate === SAMPLE_RATE) return input;
+  const ratio = fromRate / SAMPLE_RATE;
+  const out = new Float32Array(Math.floor(input.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    const i0 = Math.floor(pos);
+    const i1 = Math.min(i0 + 1, input.length - 1);
+    const f = pos - i0;
+    out[i] = input[i0] * (1 - f) + input[i1] * f;
+  }
+  return out;
+}
+
+// PCM / IEEE-float WAV without ffmpeg
+function decodeWav(buf) {
+  let fmt = null;
+  let data = null;
+  for (let p = 12; p + 8 <= buf.length;) {
+    const id = buf.toString("latin1", p, p + 4);
+    const size = buf.readUInt32LE(p + 4);
+    const body = p + 8;
+    if (id === "fmt ") {
+      // PCM needs 16 bytes of fmt; WAVE_FORMAT_EXTENSIBLE keeps the real format at +24
+      const fits = (n) => size >= n && body + n <= buf.length;
+      if (!fits(16)) throw new AsrError(422, "DECODE_FAILED", "WAV fmt chunk is truncated.");
+      let format = buf.readUInt16LE(body);
+      if (format === 0xfffe) {
+        if (!fits(26)) throw new AsrError(422, "DECODE_FAILED", "WAV fmt chunk is truncated.");
+        format = buf.readUInt16LE(body + 24);
+      }
+      fmt = {
+        format,
+        channels: buf.readUInt16LE(body + 2),
+        rate: buf.readUInt32LE(body + 4),
+        bits: buf.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      data = buf.subarray(body, Math.min(buf.length, body + size));
+    }
+    p = body + size + (size % 2);
+  }
+  if (!fmt || !data) throw new AsrError(422, "DECODE_FAILED", "WAV file is missing its fmt or data chunk.");
+
+  const { format, channels, rate, bits } = fmt;
+  if (!channels || !rate || !bits || bits % 8) {
+    throw new AsrError(422, "DECODE_FAILED", `Invalid WAV header (${channels} channels, ${rate} Hz, ${bits}-bit).`);
+  }
+  const bytes = bits / 8;
+  const frames = Math.floor(data.length / (bytes * channels));
+  const read =
+    format === 3 && bits === 32 ? (o) => data.readFloatLE(o)
+    : format === 1 && bits === 16 ? (o) => data.readInt16LE(o) / 32768
+    : format === 1 && bits === 24 ? (o) => data.readIntLE(o, 3) / 8388608
+    : format === 1 && bits === 32 ? (o) => data.readInt32LE(o) / 2147483648
+    : format === 1 && bits === 8 ? (o) => (data.readUInt8(o) - 128) / 128
+    : null;
+  if (!read) throw new AsrError(415, "UNSUPPORTED_MEDIA", `Unsupported WAV encoding (format ${format}, ${bits}-bit).`);
+
+  const mono = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read((i * channels + c) * bytes);
+    mono[i] = sum / channels;
+  }
+  return resample(mono, rate);
+}
+
+// webm / ogg / mp4 (opus, vorbis, aac…) through ffmpeg
+function decodeWithFfmpeg(buf) {
+  return new Promise((resolve, reject) => {
+    const ff = spawn(FFMPEG, [
+      "-hide_banner", "-loglevel", "error",
+      "-i", "pipe:0",
+      // stop just past the limit instead of decoding a whole oversized upload;
+      // the route then rejects it on the duration
+      "-t", String(MAX_SECONDS + 1),
+      "-ac", "1", "-ar", String(SAMPLE_RATE), "-f", "f32le", "pipe:1",
+    ]);
+    const out = [];
+    let stderr = "";
+    ff.stdout.on("data", (d) => out.push(d));
+    ff.stderr.on("data", (d) => { stderr += d; });
+    ff.on("error", (err) => {
+      reject(err.code === "ENOENT"
+        ? new AsrError(503, "DECODER_UNAVAILABLE", "ffmpeg is required to decode webm/ogg/mp4 audio (set FFMPEG_PATH).")
+        : new AsrError(422, "DECODE_FAILED", err.message));
+    });
+    ff.on("close", (code) => {
+      if (code !== 0) return reject(new AsrError(422, "DECODE_FAILED", stderr.trim().split("\n").pop() || `ffmpeg exited with ${code}`));
+      const pcm = Buffer.concat(out);
+      // copy into an aligned buffer before viewing it as floats
+      resolve(new Float32Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + pcm.length - (pcm.length % 4))));
+    });
+    ff.stdin.on("error", () => {}); // ffmpeg may close stdin early on bad input
+    ff.stdin.end(buf);
+  });
+}
+
+async function decodeAudio(buf) {
+  const kind = sniffContainer(buf);
+  if (!kind) throw new AsrError(415, "UNSUPPORTED_MEDIA", "Upload webm, ogg, mp4 or wav audio.");
+  return kind === "wav" ? decodeWav(buf) : decodeWithFfmpeg(buf);
+}
+
+// ---------- routes ----------
+app.get("/api/health", (req, res) => {
+  res.json({ ok: true, model: MODEL_ID, loaded: !!asrPromise });
+});
+
+// POST /api/asr (multipart field "file") -> { text, chunks: [{ start, end, text }], duration, model }
+app.post("/api/asr", upload.single("file"), async (req, res) => {
+  if (!req.file?.buffer?.length) throw new AsrError(400, "NO_AUDIO", "No audio file uploaded (field name: file).");
+
+  const audio = await decodeAudio(req.file.buffer);
+  const duration = audio.length / SAMPLE_RATE;
+  if (duration < 0.1) throw new AsrError(422, "AUDIO_TOO_SHORT", "Audio is empty or too short to transcribe.");
+  if (duration > MAX_SECONDS) throw new AsrError(413, "AUDIO_TOO_LONG", `Audio is ${Math.round(duration)}s; the limit is ${MAX_SECONDS}s.`);
+
+  const asr = await getASR();
+  const result = await runExclusive(() =>
+    asr(audio, {
+      chunk_length_s: CHUNK_S,
+      stride_length_s: duration > CHUNK_S ? STRIDE_S : 0,
+      return_timestamps: true,
+      // English-only checkpoints (*.en) must not be given a language/task prompt
+      ...(MULTILINGUAL ? { language: req.body?.language || undefined, task: "transcribe" } : {}),
+    })
+  ).catch((err) => {
+    throw new AsrError(500, "ASR_FAILED", err?.message || "ASR failed");
+  });
+
+  const chunks = (result?.chunks || []).map((c) => ({
+    start: c.timestamp?.[0] ?? null,
+    end: c.timestamp?.[1] ?? duration,
+    text: String(c.text || "").trim(),
+  }));
+  res.json({
+    text: typeof result?.text === "string" ? result.text.trim() : "",
+    chunks,
+    duration,
+    model: MODEL_ID,
+  });
+});
+
+// Every failure comes back as { error: { code, message } }
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const tooBig = err.code === "LIMIT_FILE_SIZE";
+    return res.status(tooBig ? 413 : 400).json({
+      error: {
+        code: tooBig ? "FILE_TOO_LARGE" : "BAD_UPLOAD",
+        message: tooBig ? `Uploads are limited to ${MAX_UPLOAD_MB} MB.` : err.message,
+      },
+    });
+  }
+  if (err instanceof AsrError) {
+    return res.status(err.status).json({ error: { code: err.code, message: err.message } });
+  }
+  console.error(err);
+  res.status(500).json({ error: { code: "INTERNAL", message: err?.message || "Internal error" } });
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => console.log(`ASR server listening at http://localhost:${PORT}`));
+}
+
+module.exports = { app, decodeWav, sniffContainer };
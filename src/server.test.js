@@ -0,0 +1,51 @@
+const { decodeWav, sniffContainer } = require("./server");
+
+// RIFF/WAVE with the given fmt chunk body and 16-bit PCM samples
+function wav(fmtBody, samples = [0, 16384, -16384, 0]) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((v, i) => data.writeInt16LE(v, i * 2));
+  const chunk = (id, body) => Buffer.concat([Buffer.from(id, "latin1"), Buffer.from(new Uint32Array([body.length]).buffer), body]);
+  const riff = Buffer.concat([Buffer.from("WAVE", "latin1"), chunk("fmt ", fmtBody), chunk("data", data)]);
+  return Buffer.concat([Buffer.from("RIFF", "latin1"), Buffer.from(new Uint32Array([riff.length]).buffer), riff]);
+}
+
+function pcmFmt({ format = 1, channels = 1, rate = 16000, bits = 16 } = {}) {
+  const b = Buffer.alloc(16);
+  b.writeUInt16LE(format, 0);
+  b.writeUInt16LE(channels, 2);
+  b.writeUInt32LE(rate, 4);
+  b.writeUInt32LE(rate * channels * (bits / 8), 8);
+  b.writeUInt16LE(channels * (bits / 8), 12);
+  b.writeUInt16LE(bits, 14);
+  return b;
+}
+
+const decodeError = (buf) => {
+  try {
+    decodeWav(buf);
+  } catch (err) {
+    return { status: err.status, code: err.code };
+  }
+  return null;
+};
+
+test("containers are told apart by their magic bytes", () => {
+  expect(sniffContainer(wav(pcmFmt()))).toBe("wav");
+  expect(sniffContainer(Buffer.from("OggS\0\0\0\0\0\0\0\0"))).toBe("ogg");
+  expect(sniffContainer(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0, 0, 0, 0, 0, 0, 0, 0]))).toBe("webm");
+  expect(sniffContainer(Buffer.from("\0\0\0\x20ftypmp42"))).toBe("mp4");
+  expect(sniffContainer(Buffer.from("hello"))).toBeNull();
+});
+
+test("16 kHz mono PCM decodes to floats", () => {
+  expect(Array.from(decodeWav(wav(pcmFmt())))).toEqual([0, 0.5, -0.5, 0]);
+});
+
+test("truncated or nonsensical fmt chunks are rejected as DECODE_FAILED", () => {
+  const failed = { status: 422, code: "DECODE_FAILED" };
+  expect(decodeError(wav(Buffer.alloc(4)))).toEqual(failed);
+  const extensible = pcmFmt({ format: 0xfffe });
+  expect(decodeError(wav(Buffer.concat([extensible, Buffer.alloc(2)])))).toEqual(failed);
+  expect(decodeError(wav(pcmFmt({ channels: 0 })))).toEqual(failed);
+  expect(decodeError(wav(pcmFmt({ rate: 0 })))).toEqual(failed);
+});
@@ -0,0 +1,23 @@
+// src/ttsWorker.js
+// Web Worker: neural text-to-speech via @xenova/transformers, fully on-device
+// (VITS/MMS by default; SpeechT5 also works but needs speaker embeddings).
+// Plumbing shared with whisperWorker.js is in workerPipeline.js.
+/* eslint-env worker */
+import { cachedPipeline, serveModel } from "./workerPipeline";
+
+const SPEECHT5_SPEAKER =
+  process.env.REACT_APP_TTS_SPEAKER_EMBEDDINGS ||
+  "https://huggingface.co/datasets/Xenova/transformers.js-docs/resolve/main/speaker_embeddings.bin";
+
+// SpeechT5's quantized vocoder sounds broken
+const getTTS = cachedPipeline("text-to-speech", (model) => ({ quantized: !/speecht5/i.test(model) }));
+
+async function synthesize({ id, text, model }) {
+  const tts = await getTTS(model);
+  const options = /speecht5/i.test(model) ? { speaker_embeddings: SPEECHT5_SPEAKER } : {};
+  const out = await tts(text, options);
+  const audio = out.audio instanceof Float32Array ? out.audio : Float32Array.from(out.audio);
+  postMessage({ type: "result", id, audio, sampleRate: out.sampling_rate }, [audio.buffer]);
+}
+
+serveModel(getTTS, { synthesize });
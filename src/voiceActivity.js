@@ -0,0 +1,147 @@
+// src/voiceActivity.js
+// Energy-based voice activity detection: WebAudio RMS compared against an
+// adaptive noise floor, with attack (to ignore clicks) and hangover (so short
+// pauses for breath, thought or tears don't end the turn).
+
+export const VAD_DEFAULTS = {
+  minRms: 0.015,     // absolute floor for "someone is talking"
+  overNoise: 3.0,    // ...or this many times the running noise level
+  attackMs: 150,     // sustained voice needed before speech "starts"
+  hangoverMs: 900,   // silence needed before speech "ends"
+};
+
+export class EnergyVAD {
+  constructor(opts = {}) {
+    Object.assign(this, VAD_DEFAULTS, opts);
+    this.noise = this.minRms / this.overNoise;
+    this.speaking = false;
+    this.voiceMs = 0;
+    this.lastVoiceAt = 0;
+  }
+
+  get threshold() {
+    return Math.max(this.minRms, this.noise * this.overNoise);
+  }
+
+  // Feed one RMS reading; returns whether speech is currently active
+  update(rms, dtMs, now = performance.now()) {
+    if (rms > this.threshold) {
+      this.voiceMs += dtMs;
+      this.lastVoiceAt = now;
+      if (!this.speaking && this.voiceMs >= this.attackMs) this.speaking = true;
+    } else {
+      // slow-moving noise estimate from non-speech frames only
+      this.noise = this.noise * 0.95 + rms * 0.05;
+      if (!this.speaking) this.voiceMs = 0;
+      else if (now - this.lastVoiceAt > this.hangoverMs) {
+        this.speaking = false;
+        this.voiceMs = 0;
+      }
+    }
+    return this.speaking;
+  }
+}
+
+// Barge-in: detects the user talking over TTS. The first `learnMs` of a reply
+// calibrate the echo level leaking into the mic (one detector per reply, not per
+// sentence); after that, speech has to stay clearly above that echo for
+// `sustainMs` to count. The echo estimate is capped at `maxEcho`, so someone
+// talking while it's learned can't raise their own threshold out of reach.
+export class BargeInDetector {
+  constructor({ learnMs = 400, overEcho = 2.5, minRms = 0.03, maxEcho = 0.05, sustainMs = 350 } = {}) {
+    Object.assign(this, { learnMs, overEcho, minRms, maxEcho, sustainMs });
+    this.echo = 0;
+    this.elapsed = 0;
+    this.voiceMs = 0;
+    this.lastAt = 0;
+  }
+
+  update(rms, now = performance.now()) {
+    const dt = this.lastAt ? now - this.lastAt : 0;
+    this.lastAt = now;
+    this.elapsed += dt;
+    if (this.elapsed < this.learnMs) {
+      this.echo = Math.min(this.maxEcho, Math.max(rms, this.echo));
+      return false;
+    }
+    if (rms > Math.max(this.minRms, this.echo * this.overEcho)) {
+      this.voiceMs += dt;
+    } else {
+      // follow the echo envelope: jump up to peaks, decay slowly
+      this.echo = Math.min(this.maxEcho, Math.max(rms, this.echo * 0.995));
+      this.voiceMs = Math.max(0, this.voiceMs - dt);
+    }
+    return this.voiceMs >= this.sustainMs;
+  }
+}
+
+// ---------- shared mic stream ----------
+// Everything listening to the mic (the VAD monitor, the recorder recognizers) shares
+// one capture: iOS Safari copes badly with several getUserMedia streams at once.
+// The tracks stop when the last user releases it.
+const MIC_CONSTRAINTS = { audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true } };
+let sharedMic = null; // { promise, users }
+
+/** Resolves with { stream, release }; call release() exactly when done with the stream. */
+export function acquireMicStream() {
+  if (!sharedMic) {
+    const entry = { users: 0, promise: navigator.mediaDevices.getUserMedia(MIC_CONSTRAINTS) };
+    entry.promise.catch(() => { if (sharedMic === entry) sharedMic = null; });
+    sharedMic = entry;
+  }
+  const entry = sharedMic;
+  entry.users++;
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    if (--entry.users > 0) return;
+    if (sharedMic === entry) sharedMic = null;
+    entry.promise.then((s) => s.getTracks().forEach((t) => t.stop()), () => {});
+  };
+  return entry.promise.then(
+    (stream) => ({ stream, release }),
+    (err) => { release(); throw err; },
+  );
+}
+
+export function rmsOf(analyser, buf) {
+  analyser.getFloatTimeDomainData(buf);
+  let sum = 0;
+  for (let i = 0; i < buf.length; i++) sum += buf[i] * buf[i];
+  return Math.sqrt(sum / buf.length);
+}
+
+/**
+ * Watch the (shared) mic stream.
+ * onSpeechStart() / onSpeechEnd(lastVoiceAt) fire on VAD transitions; the end fires
+ * a VAD hangover after the last voiced frame, whose time it passes along.
+ * onLevel(rms, vad) fires every poll.
+ * Resolves with { stop, vad }; rejects if the mic can't be opened.
+ */
+export async function startMicMonitor({ onSpeechStart, onSpeechEnd, onLevel, pollMs = 50, ...vadOpts } = {}) {
+  const { stream, release } = await acquireMicStream();
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  ctx.createMediaStreamSource(stream).connect(analyser);
+  const buf = new Float32Array(analyser.fftSize);
+  const vad = new EnergyVAD(vadOpts);
+
+  const timer = setInterval(() => {
+    const was = vad.speaking;
+    const rms = rmsOf(analyser, buf);
+    const now = vad.update(rms, pollMs);
+    onLevel?.(rms, vad);
+    if (now && !was) onSpeechStart?.();
+    else if (!now && was) onSpeechEnd?.(vad.lastVoiceAt);
+  }, pollMs);
+
+  const stop = () => {
+    clearInterval(timer);
+    release();
+    try { ctx.close(); } catch {}
+  };
+  return { stop, vad };
+}
@@ -0,0 +1,63 @@
+import { BargeInDetector, EnergyVAD, acquireMicStream } from "./voiceActivity";
+
+// Feed `rms` every 50 ms from `from` to `to`; true if the detector fired
+const feed = (det, rms, from, to) => {
+  let fired = false;
+  for (let t = from; t <= to; t += 50) fired = det.update(rms, t) || fired;
+  return fired;
+};
+
+test("barge-in needs speech clearly above the echo for the sustain time", () => {
+  const det = new BargeInDetector();
+  expect(feed(det, 0.02, 0, 400)).toBe(false);        // learning the echo
+  expect(feed(det, 0.2, 450, 650)).toBe(false);       // a short burst
+  expect(feed(det, 0.02, 700, 1500)).toBe(false);     // echo alone never counts
+  expect(feed(det, 0.2, 1550, 2000)).toBe(true);      // sustained speech
+});
+
+test("talking while the echo is learned can't raise the threshold past the cap", () => {
+  const det = new BargeInDetector({ maxEcho: 0.05 });
+  feed(det, 0.5, 0, 400);
+  expect(det.echo).toBe(0.05);
+  expect(feed(det, 0.3, 450, 900)).toBe(true);
+
+  const uncapped = new BargeInDetector({ maxEcho: Infinity });
+  feed(uncapped, 0.5, 0, 400);
+  expect(feed(uncapped, 0.3, 450, 900)).toBe(false);
+});
+
+test("speech starts after the attack time and ends a hangover after the last voiced frame", () => {
+  const vad = new EnergyVAD({ attackMs: 150, hangoverMs: 900 });
+  expect(vad.update(0.2, 50, 0)).toBe(false);
+  expect(vad.update(0.2, 50, 50)).toBe(false);
+  expect(vad.update(0.001, 50, 100)).toBe(false);     // a click doesn't start speech
+  [200, 250, 300].forEach((t) => vad.update(0.2, 50, t));
+  expect(vad.speaking).toBe(true);
+  expect(vad.lastVoiceAt).toBe(300);
+  expect(vad.update(0.001, 50, 1100)).toBe(true);     // still inside the hangover
+  expect(vad.update(0.001, 50, 1250)).toBe(false);
+  expect(vad.lastVoiceAt).toBe(300);
+});
+
+test("the mic stream is shared and only stops after the last release", async () => {
+  const stop = jest.fn();
+  const stream = { getTracks: () => [{ stop }] };
+  const getUserMedia = jest.fn(() => Promise.resolve(stream));
+  Object.defineProperty(navigator, "mediaDevices", { value: { getUserMedia }, configurable: true });
+
+  const a = await acquireMicStream();
+  const b = await acquireMicStream();
+  expect(getUserMedia).toHaveBeenCalledTimes(1);
+  expect(b.stream).toBe(a.stream);
+
+  a.release();
+  a.release(); // releasing twice counts once
+  await Promise.resolve();
+  expect(stop).not.toHaveBeenCalled();
+  b.release();
+  await Promise.resolve();
+  expect(stop).toHaveBeenCalledTimes(1);
+
+  await acquireMicStream().then((c) => c.release());
+  expect(getUserMedia).toHaveBeenCalledTimes(2);      // a fresh capture after everyone let go
+});
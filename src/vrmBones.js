@@ -0,0 +1,27 @@
+// src/vrmBones.js
+// The avatar's normalized humanoid bones, looked up by VRMHumanBoneName. Shared by
+// the procedural motion in VRMScene and the animation retargeting in
+// mixamoRetarget.js, so both address the same nodes.
+import { VRMHumanBoneName } from "@pixiv/three-vrm";
+
+export const normalizedBone = (vrm, name) => vrm?.humanoid?.getNormalizedBoneNode(name) || null;
+
+// Upper-body bones the scene animates procedurally
+export function getBones(vrm) {
+  if (!vrm) return null;
+  const get = (n) => normalizedBone(vrm, n);
+  return {
+    head: get(VRMHumanBoneName.Head),
+    neck: get(VRMHumanBoneName.Neck),
+    chest: get(VRMHumanBoneName.Chest) || get(VRMHumanBoneName.UpperChest),
+    spine: get(VRMHumanBoneName.Spine),
+    lUpperArm: get(VRMHumanBoneName.LeftUpperArm),
+    rUpperArm: get(VRMHumanBoneName.RightUpperArm),
+    lLowerArm: get(VRMHumanBoneName.LeftLowerArm),
+    rLowerArm: get(VRMHumanBoneName.RightLowerArm),
+    lHand: get(VRMHumanBoneName.LeftHand),
+    rHand: get(VRMHumanBoneName.RightHand),
+    lShoulder: get(VRMHumanBoneName.LeftShoulder),
+    rShoulder: get(VRMHumanBoneName.RightShoulder),
+  };
+}
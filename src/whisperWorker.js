@@ -0,0 +1,40 @@
+// src/whisperWorker.js
+// Web Worker: quantized Whisper via @xenova/transformers, fully on-device
+// (plumbing in workerPipeline.js); audio never leaves this worker.
+/* eslint-env worker */
+import { cachedPipeline, serveModel } from "./workerPipeline";
+
+const getASR = cachedPipeline("automatic-speech-recognition", () => ({ quantized: true }));
+
+async function transcribe({ id, audio, model, language }) {
+  const asr = await getASR(model);
+  const english = /\.en$/.test(model);
+
+  // stream the best hypothesis while decoding
+  let last = "";
+  const callback_function = (beams) => {
+    const ids = beams?.[0]?.output_token_ids;
+    if (!ids) return;
+    const text = asr.tokenizer.decode(ids, { skip_special_tokens: true }).trim();
+    if (text && text !== last) {
+      last = text;
+      postMessage({ type: "partial", id, text });
+    }
+  };
+
+  const result = await asr(audio, {
+    chunk_length_s: 30,
+    stride_length_s: audio.length / 16000 > 30 ? 5 : 0,
+    return_timestamps: true,
+    callback_function,
+    ...(english ? {} : { language, task: "transcribe" }),
+  });
+  postMessage({
+    type: "result",
+    id,
+    text: String(result?.text || "").trim(),
+    chunks: result?.chunks || [],
+  });
+}
+
+serveModel(getASR, { transcribe });
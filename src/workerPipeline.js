@@ -0,0 +1,46 @@
+// src/workerPipeline.js
+// Worker side of modelWorker.js: transformers.js set up for on-device use, a
+// cached pipeline per worker, and the load / request / error message loop.
+// Models are downloaded once and kept in Cache Storage by transformers.js.
+/* eslint-env worker, es2020 */
+import { pipeline, env } from "@xenova/transformers";
+
+env.allowLocalModels = false; // CRA's dev server answers every path with index.html
+env.useBrowserCache = true;
+if (process.env.REACT_APP_MODEL_HOST) env.remoteHost = process.env.REACT_APP_MODEL_HOST;
+
+/** model => pipeline promise; reloads only when the model changes, retries after a failed load. */
+export function cachedPipeline(task, optionsFor = () => ({})) {
+  let promise = null;
+  let current = null;
+  return (model) => {
+    if (!promise || current !== model) {
+      current = model;
+      promise = pipeline(task, model, {
+        ...optionsFor(model),
+        progress_callback: (p) => postMessage({ type: "progress", ...p }),
+      }).catch((err) => {
+        promise = null;
+        throw err;
+      });
+    }
+    return promise;
+  };
+}
+
+/** Answer "load" with `load(model)`, other messages with handlers[type](msg). */
+export function serveModel(load, handlers) {
+  globalThis.addEventListener("message", async (e) => {
+    const msg = e.data || {};
+    try {
+      if (msg.type === "load") {
+        await load(msg.model);
+        postMessage({ type: "ready", model: msg.model });
+      } else if (handlers[msg.type]) {
+        await handlers[msg.type](msg);
+      }
+    } catch (err) {
+      postMessage({ type: "error", id: msg.id, message: err?.message || String(err) });
+    }
+  });
+}